@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+// Command-line front end for node/index.js: `glassbox trace file.py` writes
+// the trace as JSON to standard output or a file. Other .py files in the same
+// directory can be imported by the traced program. The program's own output
+// and errors are part of that JSON; the exit code is only non-zero when the
+// command is misused (2) or the tracer itself fails (1).
+import { parseArgs } from 'node:util';
+import { readFile, writeFile } from 'node:fs/promises';
+import { readProject, traceCode, DEFAULT_LIMITS } from '../node/index.js';
+import { createSession, serializeSession } from '../src/traceSession.js';
+
+const FORMATS = ['json', 'pretty', 'session'];
+
+const USAGE = `Usage: glassbox trace <file.py> [options]
+
+Options:
+  --stdin <text>        Program input for input(), one line per call
+  --stdin-file <path>   Read program input from a file ('-' for standard input)
+  --timeout <seconds>   Wall-clock limit (default ${DEFAULT_LIMITS.timeoutMs / 1000})
+  --max-events <n>      Trace event cap (default ${DEFAULT_LIMITS.maxEvents})
+  --watch <expr>        Also trace a Python expression such as 'len(stack)' (repeatable)
+  --format <format>     json (default), pretty (indented json) or
+                        session (a file the web app can open with Import Trace)
+  -o, --output <path>   Write to a file instead of standard output
+  -h, --help            Show this help
+`;
+
+class UsageError extends Error {}
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const parsePositive = (value, flag) => {
+  const number = Number(value);
+  if (!(number > 0)) throw new UsageError(`${flag} must be a positive number`);
+  return number;
+};
+
+const parseCommandLine = (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        stdin: { type: 'string' },
+        'stdin-file': { type: 'string' },
+        timeout: { type: 'string' },
+        'max-events': { type: 'string' },
+        watch: { type: 'string', multiple: true, default: [] },
+        format: { type: 'string', default: 'json' },
+        output: { type: 'string', short: 'o' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  const [command, file, ...extra] = positionals;
+  if (command !== 'trace') throw new UsageError(command ? `Unknown command '${command}'` : 'Missing command');
+  if (!file) throw new UsageError('Missing the Python file to trace');
+  if (extra.length > 0) throw new UsageError(`Unexpected argument '${extra[0]}'`);
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+  }
+  if (values.stdin !== undefined && values['stdin-file'] !== undefined) {
+    throw new UsageError('Use either --stdin or --stdin-file, not both');
+  }
+
+  return {
+    file,
+    stdin: values.stdin,
+    stdinFile: values['stdin-file'],
+    timeoutMs: values.timeout !== undefined ? parsePositive(values.timeout, '--timeout') * 1000 : undefined,
+    maxEvents: values['max-events'] !== undefined ? parsePositive(values['max-events'], '--max-events') : undefined,
+    watches: values.watch,
+    format: values.format,
+    output: values.output
+  };
+};
+
+const formatResult = (result, { format, project, stdin, watches }) => {
+  switch (format) {
+    case 'pretty':
+      return JSON.stringify(result, null, 2);
+    case 'session':
+      return serializeSession(createSession({
+        ...result, source: project.code, files: project.files, entry: project.entry, stdin, watches
+      }));
+    default:
+      return JSON.stringify(result);
+  }
+};
+
+const main = async (argv) => {
+  let options;
+  try {
+    options = parseCommandLine(argv);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    process.stderr.write(`glassbox: ${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  const project = await readProject(options.file);
+  let stdin = options.stdin ?? '';
+  if (options.stdinFile === '-') {
+    stdin = await readStream(process.stdin);
+  } else if (options.stdinFile !== undefined) {
+    stdin = await readFile(options.stdinFile, 'utf8');
+  }
+
+  const result = await traceCode(project.code, {
+    files: project.files,
+    entry: project.entry,
+    stdin,
+    timeoutMs: options.timeoutMs,
+    maxEvents: options.maxEvents,
+    watches: options.watches
+  });
+  const text = formatResult(result, { format: options.format, project, stdin, watches: options.watches }) + '\n';
+
+  if (options.output) {
+    await writeFile(options.output, text);
+  } else {
+    process.stdout.write(text);
+  }
+  return 0;
+};
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    process.stderr.write(`glassbox: ${err.message}\n`);
+    process.exitCode = 1;
+  }
+);
@@ -0,0 +1,167 @@
+// Headless tracing for Node: batch jobs, automatic checking of submissions
+// and the `glassbox` command (bin/glassbox.js). Runs the same tracer as the
+// web app in a worker thread and resolves with the same result object as
+// runAndTrace in src/tracer.js. Pyodide comes from the local `pyodide`
+// package, so nothing is fetched over the network.
+//
+//   import { traceFile } from 'trace-my-py';
+//   const { traceData, steps, errorMessage } = await traceFile('solution.py', { stdin: '3\n' });
+//
+// Runs are queued and executed one at a time in a single worker, so Pyodide
+// is only loaded once per process.
+import { Worker } from 'node:worker_threads';
+import { readFile, readdir } from 'node:fs/promises';
+import { basename, dirname, join } from 'node:path';
+import {
+  DEFAULT_LIMITS, DEFAULT_ENTRY, STOP_GRACE_MS, SIGINT, buildRunResult, killedRunPayload
+} from '../src/tracer.js';
+import { RESUME_COMMANDS } from '../src/tracerCore.js';
+
+export { DEFAULT_LIMITS, DEFAULT_ENTRY };
+
+let worker = null;
+let nextRunId = 0;
+let queue = Promise.resolve();
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('./traceWorker.js', import.meta.url));
+    // An idle worker shouldn't keep the process alive
+    worker.unref();
+  }
+  return worker;
+};
+
+const runOnce = (code, {
+  files = {}, entry = DEFAULT_ENTRY, stdin = '', timeoutMs, maxEvents, breakpoints = [], watches = [],
+  freshInterpreter = false, onOutput, onPause
+}) => new Promise((resolve, reject) => {
+  const limits = {
+    timeoutMs: timeoutMs || DEFAULT_LIMITS.timeoutMs,
+    maxEvents: maxEvents || DEFAULT_LIMITS.maxEvents
+  };
+  const interruptBuffer = new Int32Array(new SharedArrayBuffer(4));
+  const controlBuffer = onPause ? new Int32Array(new SharedArrayBuffer(4)) : undefined;
+  if (freshInterpreter && worker) {
+    worker.terminate();
+    worker = null;
+  }
+  const runWorker = getWorker();
+  nextRunId += 1;
+  const id = nextRunId;
+
+  const run = { output: '', limits, entry, stopReason: null };
+  let watchdog = null;
+  let watchdogStart = null;
+  let watchdogBudget = limits.timeoutMs + STOP_GRACE_MS;
+  let killTimer = null;
+
+  const cleanUp = () => {
+    clearTimeout(watchdog);
+    clearTimeout(killTimer);
+    runWorker.off('message', handleMessage);
+    runWorker.off('error', handleError);
+    runWorker.unref();
+  };
+
+  const finish = (result) => {
+    cleanUp();
+    resolve(buildRunResult(result, run));
+  };
+
+  // Same escalation as the browser: interrupt Python, then kill the worker
+  const stop = () => {
+    run.stopReason = 'timeout';
+    Atomics.store(interruptBuffer, 0, SIGINT);
+    killTimer = setTimeout(() => {
+      worker = null;
+      runWorker.terminate();
+      finish(killedRunPayload(run.stopReason));
+    }, STOP_GRACE_MS);
+  };
+
+  const startWatchdog = () => {
+    watchdogStart = Date.now();
+    watchdog = setTimeout(stop, watchdogBudget);
+  };
+
+  // The clock stops while onPause decides what to do
+  const pause = async (state) => {
+    clearTimeout(watchdog);
+    watchdogBudget -= Date.now() - watchdogStart;
+    let command;
+    try {
+      command = await onPause(state);
+    } catch {
+      command = 'stop';
+    }
+    if (!RESUME_COMMANDS.includes(command)) command = 'continue';
+    if (command === 'stop') run.stopReason = 'stopped';
+    startWatchdog();
+    Atomics.store(controlBuffer, 0, RESUME_COMMANDS.indexOf(command) + 1);
+    Atomics.notify(controlBuffer, 0);
+  };
+
+  const handleMessage = (message) => {
+    if (message.id !== id) return;
+    switch (message.type) {
+      case 'started':
+        startWatchdog();
+        break;
+      case 'paused':
+        pause(message.state);
+        break;
+      case 'stdout':
+        run.output += message.text;
+        if (onOutput) onOutput(message.text);
+        break;
+      case 'result':
+        finish(message.result);
+        break;
+      case 'failure':
+        cleanUp();
+        reject(new Error(message.message));
+        break;
+    }
+  };
+
+  const handleError = (err) => {
+    worker = null;
+    cleanUp();
+    reject(err);
+  };
+
+  runWorker.on('message', handleMessage);
+  runWorker.on('error', handleError);
+  runWorker.ref();
+  runWorker.postMessage({
+    type: 'run', id, code, files, entry, stdin, limits, breakpoints, watches, interruptBuffer, controlBuffer
+  });
+});
+
+// Options: { files, entry, stdin, timeoutMs, maxEvents, breakpoints, watches, freshInterpreter, onOutput, onPause },
+// as for runAndTrace, except that onPause(state) returns (or resolves with)
+// the command to resume with: 'continue', 'over', 'into', 'out' or 'stop'
+export function traceCode(code, options = {}) {
+  const run = queue.then(() => runOnce(code, options));
+  queue = run.catch(() => {});
+  return run;
+}
+
+// The file's directory is treated as the project: path becomes the entry
+// file and the other .py files next to it can be imported
+export async function readProject(path) {
+  const entry = basename(path);
+  const files = {};
+  for (const name of await readdir(dirname(path))) {
+    if (name.endsWith('.py') && name !== entry) {
+      files[name] = await readFile(join(dirname(path), name), 'utf8');
+    }
+  }
+  return { code: await readFile(path, 'utf8'), files, entry };
+}
+
+export async function traceFile(path, options = {}) {
+  const { code, files, entry } = await readProject(path);
+  return traceCode(code, { files, entry, ...options });
+}
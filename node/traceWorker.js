@@ -0,0 +1,50 @@
+// Worker thread behind node/index.js, the Node twin of src/tracer.worker.js.
+// Speaks the same message protocol (documented in src/tracer.js) over
+// worker_threads and loads Pyodide from the local npm package.
+import { parentPort } from 'node:worker_threads';
+import { fileURLToPath } from 'node:url';
+import { loadPyodide } from 'pyodide';
+import { runTracer } from '../src/tracerCore.js';
+
+// The same wheel directory the web app serves, filled by `npm run
+// fetch-packages`. It is also given as Pyodide's CDN, so a missing wheel is
+// an error instead of a download and runs never need network access.
+const PACKAGE_DIR = fileURLToPath(new URL('../public/pyodide-packages/', import.meta.url));
+
+let pyodideInstance = null;
+
+const runAndTrace = async ({
+  id, code, files, entry, stdin, limits, breakpoints, watches, interruptBuffer, controlBuffer
+}) => {
+  if (!pyodideInstance) {
+    pyodideInstance = await loadPyodide({ packageBaseUrl: PACKAGE_DIR });
+  }
+
+  interruptBuffer[0] = 0;
+  pyodideInstance.setInterruptBuffer(interruptBuffer);
+
+  return runTracer(pyodideInstance, {
+    code,
+    files,
+    entry,
+    stdin,
+    limits,
+    breakpoints,
+    watches,
+    controlBuffer,
+    emit: (text) => parentPort.postMessage({ type: 'stdout', id, text }),
+    onStarted: () => parentPort.postMessage({ type: 'started', id }),
+    onPause: (state) => parentPort.postMessage({ type: 'paused', id, state })
+  });
+};
+
+parentPort.on('message', async (message) => {
+  if (message.type !== 'run') return;
+
+  try {
+    const result = await runAndTrace(message);
+    parentPort.postMessage({ type: 'result', id: message.id, result });
+  } catch (err) {
+    parentPort.postMessage({ type: 'failure', id: message.id, message: err.message });
+  }
+});
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// Downloads the wheels for Pyodide packages (and everything they depend on)
+// into public/pyodide-packages/, where both the web app and the Node tracer
+// load them from, so `import numpy` works without network access at run time.
+//
+//   npm run fetch-packages                  numpy and pandas
+//   npm run fetch-packages -- scipy sympy   any package in pyodide-lock.json
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_PACKAGES = ['numpy', 'pandas'];
+const PACKAGE_DIR = fileURLToPath(new URL('../public/pyodide-packages/', import.meta.url));
+
+const require = createRequire(import.meta.url);
+const pyodideDir = dirname(require.resolve('pyodide/package.json'));
+
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+
+// The requested packages plus their dependencies, each listed once
+const resolvePackages = (lock, names) => {
+  const resolved = new Map();
+  const visit = (name) => {
+    const key = name.toLowerCase();
+    if (resolved.has(key)) return;
+    const info = lock.packages[key];
+    if (!info) throw new Error(`'${name}' is not a Pyodide package`);
+    resolved.set(key, info);
+    info.depends.forEach(visit);
+  };
+  names.forEach(visit);
+  return [...resolved.values()];
+};
+
+const isDownloaded = async (path, checksum) => {
+  try {
+    return sha256(await readFile(path)) === checksum;
+  } catch {
+    return false;
+  }
+};
+
+const main = async (names) => {
+  const { version } = JSON.parse(await readFile(join(pyodideDir, 'package.json'), 'utf8'));
+  const lock = JSON.parse(await readFile(join(pyodideDir, 'pyodide-lock.json'), 'utf8'));
+  const baseUrl = `https://cdn.jsdelivr.net/pyodide/v${version}/full/`;
+
+  await mkdir(PACKAGE_DIR, { recursive: true });
+  for (const info of resolvePackages(lock, names.length > 0 ? names : DEFAULT_PACKAGES)) {
+    const path = join(PACKAGE_DIR, info.file_name);
+    if (await isDownloaded(path, info.sha256)) {
+      process.stdout.write(`${info.name} is up to date\n`);
+      continue;
+    }
+
+    process.stdout.write(`Downloading ${info.file_name}\n`);
+    const response = await fetch(baseUrl + info.file_name);
+    if (!response.ok) throw new Error(`${info.file_name}: HTTP ${response.status}`);
+    const data = Buffer.from(await response.arrayBuffer());
+    if (sha256(data) !== info.sha256) throw new Error(`${info.file_name}: checksum mismatch`);
+    await writeFile(path, data);
+  }
+};
+
+main(process.argv.slice(2)).catch((err) => {
+  process.stderr.write(`fetch-packages: ${err.message}\n`);
+  process.exitCode = 1;
+});
@@ -1,9 +1,114 @@
-import { useState, useRef, useEffect, useCallback } from 'react';
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import Editor from '@monaco-editor/react';
 import mermaid from 'mermaid';
-import { runAndTrace } from './tracer';
+import {
+  runAndTrace, stopExecution, resumeExecution, canPause, buildOutput,
+  DEFAULT_LIMITS, DEFAULT_ENTRY, EMPTY_COVERAGE
+} from './tracer';
+import { createSession, serializeSession, parseSession } from './traceSession';
+import { renderStandaloneSvg, svgToPng, buildDiagramDocument, downloadBlob, toFileName } from './diagramExport';
+import {
+  getDisplayName, getRawVarName, getScope, getBaseVarName, getEntryAtStep, orderVarKeys,
+  formatCall, formatCallResult, formatDiff, resolveScope, getScopesOnLine,
+  isModuleScope, getScopeFile, getFileScopeInfo, formatLocation, isInvolvedInError,
+  formatScopeName, collectDataFlow, isReturnNode, collectControlFlowHits, shortenValue, buildLineHints
+} from './traceUtils';
+import Timeline from './Timeline';
+import CallDetails from './CallDetails';
+import FileTree from './FileTree';
+import ValueInspector from './ValueInspector';
+import DebugPanel from './DebugPanel';
+import WatchList from './WatchList';
+import SwimlaneView from './SwimlaneView';
 import './App.css';
 
+// Call trees of heavily recursive programs get too big for Mermaid to lay out
+const MAX_CALL_NODES = 200;
+const MAX_DIFF_LINES = 3;
+// Longer variable histories show their start and end, with the changes in
+// between collapsed into one node
+const MAX_FLOW_NODES = 60;
+// Dependency graphs of big programs are cut off at this many edges
+const MAX_DATAFLOW_EDGES = 200;
+// Source lines shown in one control-flow block before the rest is counted
+const MAX_BLOCK_LINES = 3;
+// Values in the editor's inline hints and hovers are cut to this length
+const MAX_HINT_VALUE = 40;
+// How many of a variable's latest values its hover lists
+const MAX_HOVER_VALUES = 8;
+// Colour steps of the line heatmap, from ran once to ran the most
+const HEAT_LEVELS = 5;
+
+const PNG_SCALES = [1, 2, 3, 4];
+
+const DEFAULT_CODE = `# Global variables
+count = 0
+x = 100
+name = "global"
+
+def outer_function():
+    # Local variable that shadows global 'x'
+    x = 50
+    y = 10
+
+    def inner_function():
+        # Local variable that shadows outer's 'x'
+        x = 25
+        z = 5
+        print(f"inner: x={x}, z={z}")
+        return x + z
+
+    result = inner_function()
+    x = x + y  # modifies outer's local x
+    print(f"outer: x={x}, y={y}, result={result}")
+    return x
+
+def modifier():
+    # Accesses and modifies global 'count'
+    global count
+    count = count + 1
+    step = 10
+    print(f"modifier: count={count}, step={step}")
+    return step
+
+def reader():
+    # Reads global 'x' without shadowing
+    temp = x + 5
+    print(f"reader: using global x={x}, temp={temp}")
+    return temp
+
+def loop_example():
+    # Loop variable 'i' and accumulator 'total'
+    total = 0
+    for i in range(5):
+        total = total + i
+        x = i * 2  # local 'x' shadows global
+    print(f"loop: total={total}, final i={i}, local x={x}")
+    return total
+
+def multi_assign():
+    # Multiple variables, some shadow, some don't
+    a = 1
+    b = 2
+    name = "local"  # shadows global 'name'
+    a = a + b
+    b = b * 2
+    print(f"multi: a={a}, b={b}, name={name}, global count={count}")
+    return a + b
+
+# Main execution
+print(f"Start: count={count}, x={x}, name={name}")
+
+modifier()
+modifier()
+outer_result = outer_function()
+reader_result = reader()
+loop_result = loop_example()
+multi_result = multi_assign()
+
+print(f"End: count={count}, x={x}, name={name}")
+print(f"Results: outer={outer_result}, reader={reader_result}, loop={loop_result}, multi={multi_result}")`;
+
 mermaid.initialize({ 
   startOnLoad: false, 
   theme: 'dark',
@@ -20,51 +125,66 @@ mermaid.initialize({
   }
 });
 
-const getDisplayName = (scopedVar, allTraceData) => {
-  if (!scopedVar) return '';
-  const parts = scopedVar.split('::');
-  if (parts.length < 2) return scopedVar;
-  const scope = parts[0];
-  const varName = parts[1];
-  
-  if (scope !== 'global') {
-    return `${varName} (${scope})`;
-  }
-  
-  const hasLocalWithSameName = Object.keys(allTraceData).some((key) => {
-    const keyParts = key.split('::');
-    return keyParts[0] !== 'global' && keyParts[1] === varName;
-  });
-  
-  if (hasLocalWithSameName) {
-    return `${varName} (global)`;
-  }
-  
-  return varName;
+const mermaidSafe = (value) => {
+  if (value == null) return 'null';
+  return String(value)
+    .replace(/"/g, "'")
+    .replace(/[<>]/g, '')
+    .replace(/\n/g, ' ')
+    .slice(0, 80);
 };
 
-const getRawVarName = (scopedVar) => {
-  if (!scopedVar) return '';
-  const parts = scopedVar.split('::');
-  return parts[parts.length - 1];
-};
-
-const getScope = (scopedVar) => {
-  if (!scopedVar) return '';
-  const parts = scopedVar.split('::');
-  return parts[0];
+const describeFrame = (frame) => {
+  if (frame.invocation === 'global') return 'Global frame';
+  if (isModuleScope(frame.invocation)) return `Module ${getScopeFile(frame.invocation)}`;
+  const [, callNumber] = frame.invocation.split('#');
+  return `${frame.name} · call #${callNumber}`;
 };
 
 function App() {
   const [language, setLanguage] = useState('python');
+  // The project: file name -> source. Run & Trace executes `entry` as __main__
+  const [files, setFiles] = useState({ [DEFAULT_ENTRY]: DEFAULT_CODE });
+  const [entry, setEntry] = useState(DEFAULT_ENTRY);
+  const [openFiles, setOpenFiles] = useState([DEFAULT_ENTRY]);
+  const [activeFile, setActiveFile] = useState(DEFAULT_ENTRY);
   const [output, setOutput] = useState('');
+  const [programInput, setProgramInput] = useState('');
   const [allTraceData, setAllTraceData] = useState({});
+  // Watch expressions for the next run, and what the last run recorded for them
+  const [watches, setWatches] = useState([]);
+  const [watchData, setWatchData] = useState({});
+  const [steps, setSteps] = useState([]);
+  const [currentStep, setCurrentStep] = useState(null);
+  const [calls, setCalls] = useState([]);
+  const [heapSnapshots, setHeapSnapshots] = useState([]);
+  const [heapLimitReached, setHeapLimitReached] = useState(false);
+  const [selectedCallId, setSelectedCallId] = useState(null);
+  const [coverage, setCoverage] = useState(EMPTY_COVERAGE);
+  // file -> line -> Python condition ('' pauses every time)
+  const [breakpoints, setBreakpoints] = useState({});
+  // Where a running program is waiting, as sent by the tracer; null otherwise
+  const [paused, setPaused] = useState(null);
+  // Trace entry shown in the value inspector: { scopedVar, entry }
+  const [inspected, setInspected] = useState(null);
+  const [diagramView, setDiagramView] = useState('variables');
+  // Columns of the Compare view, kept across runs
+  const [comparedVars, setComparedVars] = useState([]);
+  const [controlFlowScope, setControlFlowScope] = useState(null);
   const [scopeInfo, setScopeInfo] = useState({ lineToScope: {}, scopeToLocals: {} });
   const [selectedVar, setSelectedVar] = useState('');
   const [hoveredVar, setHoveredVar] = useState(null);
-  const [errorMessage, setErrorMessage] = useState(null);
+  // The uncaught error of the last run with its traceback, as sent by the tracer
+  const [error, setError] = useState(null);
   const [running, setRunning] = useState(false);
   const [hasRun, setHasRun] = useState(false);
+  const [cutOff, setCutOff] = useState(null);
+  const [timeoutSeconds, setTimeoutSeconds] = useState(DEFAULT_LIMITS.timeoutMs / 1000);
+  const [maxEvents, setMaxEvents] = useState(DEFAULT_LIMITS.maxEvents);
+  // Start every run in a newly loaded interpreter, forgetting all imported modules
+  const [freshInterpreter, setFreshInterpreter] = useState(false);
+  const [traceSession, setTraceSession] = useState(null);
+  const [pngScale, setPngScale] = useState(2);
 
   // Zoom and pan state
   const [zoom, setZoom] = useState(1);
@@ -77,15 +197,51 @@ function App() {
   const diagramRef = useRef(null);
   const diagramContainerRef = useRef(null);
   const diagramIdRef = useRef(0);
+  // Definition behind the diagram currently on screen, for exporting
+  const diagramDefRef = useRef(null);
   const decorationsRef = useRef([]);
+  const stepDecorationsRef = useRef([]);
+  const coverageDecorationsRef = useRef([]);
+  const breakpointDecorationsRef = useRef([]);
+  const flashDecorationsRef = useRef([]);
+  const blockDecorationsRef = useRef([]);
+  const flashTimerRef = useRef(null);
+  const sessionInputRef = useRef(null);
   const lineToVarMapRef = useRef({});
+  const lineHintsRef = useRef({});
+  const inlayHintsChangedRef = useRef(null);
   const traceDataRef = useRef({});
   const scopeInfoRef = useRef({ lineToScope: {}, scopeToLocals: {} });
   const selectedVarRef = useRef('');
+  // Read when the call tree is drawn, so picking a call doesn't redraw it
+  const selectedCallIdRef = useRef(null);
+  const activeFileRef = useRef(DEFAULT_ENTRY);
+  // Line to reveal once the editor has switched to another file's model
+  const pendingRevealRef = useRef(null);
 
   const activeVar = hoveredVar || selectedVar;
+  // Variables and watches together; both kinds of history can be diagrammed
+  const tracedData = useMemo(() => ({ ...allTraceData, ...watchData }), [allTraceData, watchData]);
+  // Only the memory view follows the timeline; other views shouldn't re-render per step
+  const memoryStep = diagramView === 'memory' ? currentStep : null;
   const hasTraceData = Object.keys(allTraceData).length > 0;
-  const hasSyntaxError = hasRun && errorMessage && !hasTraceData;
+  // Every function (and module) with a control-flow graph, entry file first
+  const controlFlowScopes = useMemo(() => (
+    Object.entries(scopeInfo.files || { [entry]: scopeInfo })
+      .sort(([a], [b]) => (a === entry ? -1 : b === entry ? 1 : a.localeCompare(b)))
+      .flatMap(([file, fileScopeInfo]) => Object.keys(fileScopeInfo.controlFlow || {}).map((scope) => ({
+        file, scope, graph: fileScopeInfo.controlFlow[scope]
+      })))
+  ), [scopeInfo, entry]);
+  // The picked function, else the one the selected variable belongs to, else the entry module
+  const shownControlFlow = controlFlowScopes.find(({ scope }) => scope === controlFlowScope)
+    || controlFlowScopes.find(({ scope }) => activeVar && scope === getScope(activeVar))
+    || controlFlowScopes[0];
+  const dataFlowEdges = useMemo(
+    () => collectDataFlow(scopeInfo, allTraceData, calls, coverage, entry),
+    [scopeInfo, allTraceData, calls, coverage, entry]
+  );
+  const hasSyntaxError = hasRun && Boolean(error && error.syntax) && !hasTraceData;
 
   // Keep refs in sync with state
   useEffect(() => {
@@ -100,6 +256,10 @@ function App() {
     selectedVarRef.current = selectedVar;
   }, [selectedVar]);
 
+  useEffect(() => {
+    selectedCallIdRef.current = selectedCallId;
+  }, [selectedCallId]);
+
   // Reset zoom and pan when diagram changes
   const resetView = useCallback(() => {
     setZoom(1);
@@ -116,71 +276,208 @@ function App() {
     scopeInfoRef.current = scopeInfo;
   }, [scopeInfo]);
 
-  const buildLineToVarMap = (traceData) => {
-    const map = {};
+  // Line -> every variable that line changed, in the order they first did,
+  // so 'a, b = b, a + b' or 'x = y = 0' lists both
+  const buildLineToVarMap = (traceData, file, entryFile) => {
+    const firstSteps = {};
     for (const [scopedVar, traces] of Object.entries(traceData)) {
       for (const trace of traces) {
-        if (!map[trace.line]) {
-          map[trace.line] = scopedVar;
+        if ((trace.file || entryFile) !== file) continue;
+        const onLine = firstSteps[trace.line] || (firstSteps[trace.line] = {});
+        if (!(scopedVar in onLine)) {
+          onLine[scopedVar] = trace.step;
         }
       }
     }
+    const map = {};
+    for (const [line, onLine] of Object.entries(firstSteps)) {
+      map[line] = Object.keys(onLine).sort((a, b) => onLine[a] - onLine[b]);
+    }
     return map;
   };
 
   useEffect(() => {
-    lineToVarMapRef.current = buildLineToVarMap(allTraceData);
-  }, [allTraceData]);
+    lineToVarMapRef.current = buildLineToVarMap(allTraceData, activeFile, entry);
+    lineHintsRef.current = buildLineHints(allTraceData, lineToVarMapRef.current, activeFile, entry, MAX_HINT_VALUE);
+    if (inlayHintsChangedRef.current) {
+      inlayHintsChangedRef.current.fire();
+    }
+  }, [allTraceData, activeFile, entry]);
 
-  const clearHighlights = () => {
+  const clearHighlights = useCallback(() => {
     if (editorRef.current) {
       decorationsRef.current = editorRef.current.deltaDecorations(decorationsRef.current, []);
     }
-  };
+  }, []);
 
-  const invalidateTrace = () => {
+  const invalidateTrace = useCallback(() => {
     setAllTraceData({});
+    setWatchData({});
+    setSteps([]);
+    setCurrentStep(null);
+    setCalls([]);
+    setSelectedCallId(null);
+    setInspected(null);
+    setCoverage(EMPTY_COVERAGE);
+    setHeapSnapshots([]);
+    setHeapLimitReached(false);
     setScopeInfo({ lineToScope: {}, scopeToLocals: {} });
     setSelectedVar('');
     setHoveredVar(null);
-    setErrorMessage(null);
+    setError(null);
+    setCutOff(null);
     setHasRun(false);
+    setTraceSession(null);
     setOutput('');
     clearHighlights();
     lineToVarMapRef.current = {};
+    lineHintsRef.current = {};
     traceDataRef.current = {};
     scopeInfoRef.current = { lineToScope: {}, scopeToLocals: {} };
     selectedVarRef.current = '';
     resetView();
-  };
+  }, [clearHighlights, resetView]);
 
-  const shouldHighlightOnLine = (scopedVar, lineNum) => {
-    const { lineToScope, scopeToLocals } = scopeInfoRef.current;
-    const varName = getRawVarName(scopedVar);
-    const varScope = getScope(scopedVar);
-    
-    const lineScope = lineToScope[String(lineNum)] || 'global';
-    
-    if (varScope === 'global') {
-      if (lineScope === 'global') {
-        return true;
-      }
-      const functionLocals = scopeToLocals[lineScope] || [];
-      return !functionLocals.includes(varName);
+  const revealAndFlashLine = useCallback((lineNumber) => {
+    if (!editorRef.current || !monacoRef.current) return;
+
+    const editor = editorRef.current;
+    editor.revealLineInCenter(lineNumber);
+    editor.setPosition({ lineNumber, column: 1 });
+
+    flashDecorationsRef.current = editor.deltaDecorations(flashDecorationsRef.current, [{
+      range: new monacoRef.current.Range(lineNumber, 1, lineNumber, 1),
+      options: { isWholeLine: true, className: 'flash-line-highlight' }
+    }]);
+    clearTimeout(flashTimerRef.current);
+    flashTimerRef.current = setTimeout(() => {
+      flashDecorationsRef.current = editor.deltaDecorations(flashDecorationsRef.current, []);
+    }, 1500);
+  }, []);
+
+  const openFile = useCallback((file) => {
+    if (file === activeFileRef.current) return;
+    // Decorations belong to the model they were added to, so drop them
+    // before the editor swaps in the other file's model
+    const editor = editorRef.current;
+    if (editor) {
+      decorationsRef.current = editor.deltaDecorations(decorationsRef.current, []);
+      stepDecorationsRef.current = editor.deltaDecorations(stepDecorationsRef.current, []);
+      coverageDecorationsRef.current = editor.deltaDecorations(coverageDecorationsRef.current, []);
+      breakpointDecorationsRef.current = editor.deltaDecorations(breakpointDecorationsRef.current, []);
+      flashDecorationsRef.current = editor.deltaDecorations(flashDecorationsRef.current, []);
+      blockDecorationsRef.current = editor.deltaDecorations(blockDecorationsRef.current, []);
+    }
+    activeFileRef.current = file;
+    setOpenFiles((prev) => (prev.includes(file) ? prev : [...prev, file]));
+    setActiveFile(file);
+  }, []);
+
+  // Scrolls to and flashes a line of any project file, switching tabs first
+  const revealLocation = useCallback((file, lineNumber) => {
+    const target = file || entry;
+    if (target === activeFileRef.current) {
+      revealAndFlashLine(lineNumber);
     } else {
-      return lineScope === varScope;
+      pendingRevealRef.current = lineNumber;
+      openFile(target);
     }
+  }, [entry, openFile, revealAndFlashLine]);
+
+  const closeTab = (file) => {
+    const remaining = openFiles.filter((name) => name !== file);
+    if (remaining.length === 0) return;
+    setOpenFiles(remaining);
+    if (file === activeFile) {
+      openFile(remaining[remaining.length - 1]);
+    }
+  };
+
+  const getModel = (file) => {
+    const monaco = monacoRef.current;
+    return monaco ? monaco.editor.getModel(monaco.Uri.parse(file)) : null;
+  };
+
+  const handleCodeChange = (value) => {
+    setFiles((prev) => ({ ...prev, [activeFile]: value }));
+  };
+
+  const handleAddFile = (file) => {
+    // A model left over from a deleted file of the same name would bring its text back
+    const staleModel = getModel(file);
+    if (staleModel) staleModel.setValue('');
+    setFiles((prev) => ({ ...prev, [file]: '' }));
+    openFile(file);
+  };
+
+  const handleDeleteFile = (file) => {
+    if (activeFile === file) openFile(entry);
+    setOpenFiles((prev) => prev.filter((name) => name !== file));
+    setFiles((prev) => {
+      const next = { ...prev };
+      delete next[file];
+      return next;
+    });
+    setBreakpoints((prev) => {
+      const next = { ...prev };
+      delete next[file];
+      return next;
+    });
+    if (hasRun) invalidateTrace();
+  };
+
+  const toggleBreakpoint = (file, line) => {
+    setBreakpoints((prev) => {
+      const lines = { ...prev[file] };
+      if (line in lines) {
+        delete lines[line];
+      } else {
+        lines[line] = '';
+      }
+      return { ...prev, [file]: lines };
+    });
+  };
+
+  const setBreakpointCondition = (file, line, condition) => {
+    setBreakpoints((prev) => ({ ...prev, [file]: { ...prev[file], [line]: condition } }));
+  };
+
+  const breakpointList = Object.entries(breakpoints).flatMap(([file, lines]) => (
+    Object.entries(lines).map(([line, condition]) => ({ file, line: Number(line), condition }))
+  ));
+
+  const handleResume = (command) => {
+    setPaused(null);
+    resumeExecution(command);
   };
 
-  const highlightVariable = (scopedVar, hoveredLine) => {
+  const handleStepChange = useCallback((stepNumber) => {
+    setCurrentStep(stepNumber);
+    const step = getEntryAtStep(steps, stepNumber);
+    if (step) openFile(step.file || entry);
+  }, [steps, entry, openFile]);
+
+  const shouldHighlightOnLine = useCallback((scopedVar, lineNum) => {
+    const scopeInfo = getFileScopeInfo(scopeInfoRef.current, activeFileRef.current);
+    const varName = getBaseVarName(scopedVar);
+    const varScope = getScope(scopedVar);
+    
+    return getScopesOnLine(lineNum, scopeInfo).some(
+      (scope) => resolveScope(varName, scope, scopeInfo) === varScope
+    );
+  }, []);
+
+  const highlightVariable = useCallback((scopedVar, hoveredLine) => {
     if (!editorRef.current || !monacoRef.current) return;
 
     const editor = editorRef.current;
     const monaco = monacoRef.current;
     const model = editor.getModel();
-    const rawVarName = getRawVarName(scopedVar);
+    // Sub-paths like 'obj.count' highlight the variable they hang off; a
+    // watch expression such as 'total / count' has no single name to mark
+    const rawVarName = getBaseVarName(scopedVar);
 
-    if (!rawVarName) {
+    if (!/^[A-Za-z_]\w*$/.test(rawVarName)) {
       clearHighlights();
       return;
     }
@@ -197,6 +494,25 @@ function App() {
       });
     }
 
+    // The analyzer lists every name in the code with the variable it
+    // resolves to, so strings, comments and attributes like self.x are never
+    // marked, and assignments are told apart from reads
+    const { occurrences } = getFileScopeInfo(scopeInfoRef.current, activeFileRef.current);
+    if (occurrences) {
+      const key = `${getScope(scopedVar)}::${rawVarName}`;
+      occurrences.filter((occurrence) => occurrence.key === key).forEach(({ line, column, endColumn, context }) => {
+        newDecorations.push({
+          range: new monaco.Range(line, column, line, endColumn),
+          options: {
+            inlineClassName: `variable-highlight ${context === 'load' ? 'variable-read' : 'variable-write'}`
+          }
+        });
+      });
+      decorationsRef.current = editor.deltaDecorations(decorationsRef.current, newDecorations);
+      return;
+    }
+
+    // Traces saved before the analyzer listed names fall back to matching text
     const text = model.getValue();
     const lines = text.split('\n');
     const regex = new RegExp(`\\b${rawVarName}\\b`, 'g');
@@ -226,10 +542,31 @@ function App() {
     });
 
     decorationsRef.current = editor.deltaDecorations(decorationsRef.current, newDecorations);
+  }, [clearHighlights, shouldHighlightOnLine]);
+
+  // The traced variable an identifier in the editor refers to: the name the
+  // analyzer found there, or for older traces the word at that position, by
+  // the same scope rules as the highlighting (attributes after a '.' are not
+  // variables of their own)
+  const findVarAtPosition = (model, position) => {
+    const { occurrences } = getFileScopeInfo(scopeInfoRef.current, activeFileRef.current);
+    if (occurrences) {
+      const { lineNumber, column } = position;
+      const occurrence = occurrences.find((o) => o.line === lineNumber && o.column <= column && column <= o.endColumn);
+      return occurrence && occurrence.key in traceDataRef.current ? occurrence.key : null;
+    }
+    const word = model.getWordAtPosition(position);
+    if (!word || model.getLineContent(position.lineNumber)[word.startColumn - 2] === '.') return null;
+    return Object.keys(traceDataRef.current).find((scopedVar) => (
+      getRawVarName(scopedVar) === word.word && shouldHighlightOnLine(scopedVar, position.lineNumber)
+    )) || null;
   };
 
-  const handleLineHover = (lineNumber) => {
-    const scopedVar = lineToVarMapRef.current[lineNumber];
+  // The identifier under the mouse wins; elsewhere on a line the first
+  // variable it changed is shown
+  const handleLineHover = (position) => {
+    const { lineNumber } = position;
+    const scopedVar = findVarAtPosition(editorRef.current.getModel(), position) || (lineToVarMapRef.current[lineNumber] || [])[0];
 
     if (scopedVar) {
       setHoveredVar(scopedVar);
@@ -245,14 +582,94 @@ function App() {
     }
   };
 
+  // Markdown for hovering a traced name: where it lives, how often it
+  // changed and its latest values
+  const describeHistory = (scopedVar) => {
+    const traces = traceDataRef.current[scopedVar];
+    const changes = traces.reduce((count, trace) => count + (trace.elided || 1), 0);
+    const values = traces.filter((trace) => !trace.elided).map((trace) => `\`${shortenValue(trace.value, MAX_HINT_VALUE).replace(/`/g, "'")}\``);
+    const shown = values.length > MAX_HOVER_VALUES
+      ? [values[0], '…', ...values.slice(-(MAX_HOVER_VALUES - 1))]
+      : values;
+    return [
+      `**${getRawVarName(scopedVar)}** · ${formatScopeName(getScope(scopedVar))} · ${changes} ${changes === 1 ? 'change' : 'changes'}`,
+      shown.join(' → ')
+    ];
+  };
+
   const handleEditorMount = (editor, monaco) => {
     editorRef.current = editor;
     monacoRef.current = monaco;
 
+    // Values from the last run, inline at the end of each assignment line
+    // and in a hover over any traced name. Both only serve the model this
+    // editor shows, since the trace belongs to that file.
+    const inlayHintsChanged = new monaco.Emitter();
+    inlayHintsChangedRef.current = inlayHintsChanged;
+    const providers = [
+      monaco.languages.registerInlayHintsProvider('python', {
+        onDidChangeInlayHints: inlayHintsChanged.event,
+        provideInlayHints: (model) => {
+          const hints = model !== editor.getModel() ? [] : Object.entries(lineHintsRef.current)
+            .filter(([line]) => Number(line) <= model.getLineCount())
+            .map(([line, label]) => ({
+              label,
+              position: { lineNumber: Number(line), column: model.getLineMaxColumn(Number(line)) },
+              paddingLeft: true
+            }));
+          return { hints, dispose: () => {} };
+        }
+      }),
+      monaco.languages.registerHoverProvider('python', {
+        provideHover: (model, position) => {
+          const scopedVar = model === editor.getModel() && findVarAtPosition(model, position);
+          if (!scopedVar) return null;
+          const word = model.getWordAtPosition(position);
+          return {
+            range: new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn),
+            contents: describeHistory(scopedVar).map((value) => ({ value }))
+          };
+        }
+      })
+    ];
+    editor.onDidDispose(() => {
+      providers.forEach((provider) => provider.dispose());
+      inlayHintsChanged.dispose();
+    });
+
     editor.onMouseMove((e) => {
       if (e.target && e.target.position) {
-        const lineNumber = e.target.position.lineNumber;
-        handleLineHover(lineNumber);
+        handleLineHover(e.target.position);
+      }
+    });
+
+    editor.onMouseDown((e) => {
+      if (e.target.type === monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN) {
+        toggleBreakpoint(activeFileRef.current, e.target.position.lineNumber);
+      } else if (e.target.type === monaco.editor.MouseTargetType.CONTENT_TEXT) {
+        // Clicking keeps the variable selected after the mouse moves away
+        const scopedVar = findVarAtPosition(editor.getModel(), e.target.position);
+        if (scopedVar) {
+          setSelectedVar(scopedVar);
+          selectedVarRef.current = scopedVar;
+        }
+      }
+    });
+
+    // Alt+V steps through the variables changed on the cursor's line
+    editor.addAction({
+      id: 'glassbox.cycleLineVariables',
+      label: 'Select Next Variable on This Line',
+      keybindings: [monaco.KeyMod.Alt | monaco.KeyCode.KeyV],
+      run: () => {
+        const lineNumber = editor.getPosition().lineNumber;
+        const onLine = lineToVarMapRef.current[lineNumber] || [];
+        if (onLine.length === 0) return;
+        const next = onLine[(onLine.indexOf(selectedVarRef.current) + 1) % onLine.length];
+        setHoveredVar(null);
+        setSelectedVar(next);
+        selectedVarRef.current = next;
+        highlightVariable(next, lineNumber);
       }
     });
 
@@ -281,15 +698,143 @@ function App() {
       });
       return () => disposable.dispose();
     }
-  }, [hasRun]);
+  }, [hasRun, invalidateTrace]);
 
+  // Current-line marker for timeline playback
+  useEffect(() => {
+    if (!editorRef.current || !monacoRef.current) return;
+
+    const step = currentStep !== null ? getEntryAtStep(steps, currentStep) : null;
+    if (!step || (step.file || entry) !== activeFile) {
+      stepDecorationsRef.current = editorRef.current.deltaDecorations(stepDecorationsRef.current, []);
+      return;
+    }
+
+    stepDecorationsRef.current = editorRef.current.deltaDecorations(stepDecorationsRef.current, [{
+      range: new monacoRef.current.Range(step.line, 1, step.line, 1),
+      options: {
+        isWholeLine: true,
+        className: 'current-step-line',
+        linesDecorationsClassName: 'current-step-marker'
+      }
+    }]);
+    editorRef.current.revealLineInCenterIfOutsideViewport(step.line);
+  }, [currentStep, steps, activeFile, entry]);
+
+  // Gutter heatmap: line numbers get hotter the more often their line ran, and
+  // executable lines that never ran are dimmed
+  useEffect(() => {
+    const editor = editorRef.current;
+    const monaco = monacoRef.current;
+    if (!editor || !monaco) return;
+
+    const counts = coverage.lines[activeFile] || {};
+    const executable = coverage.executableLines[activeFile] || [];
+    const maxCount = Math.max(1, ...Object.values(counts));
+    const callsByLine = {};
+    for (const [name, info] of Object.entries(coverage.functions)) {
+      if (info.file === activeFile) callsByLine[info.line] = { name, calls: info.calls };
+    }
+
+    const times = (n) => (n === 1 ? 'once' : `${n} times`);
+    const decorations = Object.entries(counts).map(([line, count]) => {
+      const level = maxCount > 1 ? 1 + Math.round((HEAT_LEVELS - 1) * Math.log(count) / Math.log(maxCount)) : 1;
+      const fn = callsByLine[line];
+      const hover = `Ran ${times(count)}` + (fn ? ` · \`${fn.name}\` called ${times(fn.calls)}` : '');
+      return {
+        range: new monaco.Range(Number(line), 1, Number(line), 1),
+        options: { lineNumberClassName: `heat-${level}`, lineNumberHoverMessage: { value: hover } }
+      };
+    });
+    const model = editor.getModel();
+    for (const line of executable) {
+      if (counts[line] || !model || line > model.getLineCount()) continue;
+      decorations.push({
+        range: new monaco.Range(line, 1, line, model.getLineMaxColumn(line)),
+        options: { inlineClassName: 'unexecuted-code', lineNumberHoverMessage: { value: 'Never ran' } }
+      });
+    }
+    coverageDecorationsRef.current = editor.deltaDecorations(coverageDecorationsRef.current, decorations);
+  }, [coverage, activeFile]);
+
+  // Breakpoint dots in the glyph margin, plus the line a paused run is waiting on
+  useEffect(() => {
+    const editor = editorRef.current;
+    const monaco = monacoRef.current;
+    if (!editor || !monaco) return;
+
+    const decorations = Object.entries(breakpoints[activeFile] || {}).map(([line, condition]) => ({
+      range: new monaco.Range(Number(line), 1, Number(line), 1),
+      options: {
+        glyphMarginClassName: condition.trim() ? 'breakpoint-glyph conditional' : 'breakpoint-glyph',
+        glyphMarginHoverMessage: { value: condition.trim() ? `Pause when \`${condition.trim()}\`` : 'Breakpoint' }
+      }
+    }));
+    if (paused && (paused.file || entry) === activeFile) {
+      decorations.push({
+        range: new monaco.Range(paused.line, 1, paused.line, 1),
+        options: { isWholeLine: true, className: 'paused-line' }
+      });
+      editor.revealLineInCenterIfOutsideViewport(paused.line);
+    }
+    breakpointDecorationsRef.current = editor.deltaDecorations(breakpointDecorationsRef.current, decorations);
+  }, [breakpoints, paused, activeFile, entry]);
+
+  // Squiggles on every line of the error's traceback: the line that raised it
+  // (or the exact span of a syntax error) as an error, the calls leading
+  // there as warnings. Markers live on each file's model, so this reruns when
+  // a tab opens and its model is created.
+  useEffect(() => {
+    const monaco = monacoRef.current;
+    if (!monaco) return;
+
+    for (const file of Object.keys(files)) {
+      const model = monaco.editor.getModel(monaco.Uri.parse(file));
+      if (!model) continue;
+
+      const markers = [];
+      const frames = error ? error.frames : [];
+      frames.forEach((frame, i) => {
+        if (frame.file !== file || frame.line > model.getLineCount()) return;
+        // A recursion repeats the same line; mark it once
+        const next = frames[i + 1];
+        if (next && next.file === frame.file && next.line === frame.line) return;
+        const innermost = i === frames.length - 1;
+        markers.push({
+          severity: innermost ? monaco.MarkerSeverity.Error : monaco.MarkerSeverity.Warning,
+          message: innermost ? `${error.type}: ${error.message}` : `${error.type} raised inside this call`,
+          startLineNumber: frame.line,
+          startColumn: model.getLineFirstNonWhitespaceColumn(frame.line) || 1,
+          endLineNumber: frame.line,
+          endColumn: model.getLineMaxColumn(frame.line)
+        });
+      });
+      if (error && error.syntax && error.file === file) {
+        markers.push({
+          severity: monaco.MarkerSeverity.Error,
+          message: `${error.type}: ${error.message}`,
+          startLineNumber: error.line,
+          startColumn: error.column,
+          endLineNumber: error.endLine,
+          endColumn: error.endColumn
+        });
+      }
+      monaco.editor.setModelMarkers(model, 'trace', markers);
+    }
+  }, [error, files, activeFile]);
+
+  // Also reruns after a tab switch, once the editor shows the new file's model
   useEffect(() => {
     if (selectedVar) {
       highlightVariable(selectedVar, null);
     } else {
       clearHighlights();
     }
-  }, [selectedVar]);
+    if (pendingRevealRef.current) {
+      revealAndFlashLine(pendingRevealRef.current);
+      pendingRevealRef.current = null;
+    }
+  }, [selectedVar, activeFile, highlightVariable, clearHighlights, revealAndFlashLine]);
 
   // Handle wheel events for zoom and pan
   const handleWheel = useCallback((e) => {
@@ -390,58 +935,389 @@ function App() {
     }
   }, [handleWheel]);
 
-  const mermaidSafe = (value) => {
-    if (value == null) return 'null';
-    return String(value)
-      .replace(/"/g, "'")
-      .replace(/[<>]/g, '')
-      .replace(/\n/g, ' ')
-      .slice(0, 80);
-  };
-
-  const generateMermaid = (trace, scopedVar, error) => {
+  const generateMermaid = useCallback((trace, scopedVar, error, cutOff, calls) => {
     let mermaidStr = `%%{init: {'theme': 'dark', 'themeVariables': { 'primaryColor': '#334155', 'primaryTextColor': '#f8fafc', 'lineColor': '#4a90d9' }}}%%
   graph TD
   `;
     const rawName = getRawVarName(scopedVar);
     const varScope = getScope(scopedVar);
+
+    // Node ids stay N<index into trace> so clicks can find their entry; an
+    // entry with `elided` stands for that many changes the diagram (or the
+    // tracer's size budget) left out
+    const nodes = trace.map((v, i) => ({ id: `N${i}`, v }));
+    if (trace.length > MAX_FLOW_NODES) {
+      const keep = MAX_FLOW_NODES / 2;
+      const dropped = trace.slice(keep, trace.length - keep);
+      const elided = dropped.reduce((count, v) => count + (v.elided || 1), 0);
+      nodes.splice(keep, dropped.length, { id: 'ELIDED', v: { ...dropped[0], elided } });
+    }
+
+    // A local touched by several calls (recursion, repeated calls) gets one
+    // subgraph per invocation instead of a single misleading chain
+    const invocations = [...new Set(nodes.map(({ v }) => v.invocation))];
+    const grouped = !isModuleScope(varScope) && invocations.length > 1;
+    // In a multi-file project every node says which file it happened in
+    const showFiles = Object.keys(files).length > 1;
+    const nodeDefs = [];
     
-    trace.forEach((v, i) => {
-      const nodeId = `N${i}`;
-      
+    nodes.forEach(({ id: nodeId, v }) => {
+      if (v.elided) {
+        nodeDefs.push(`${nodeId}["⋯ ${v.elided} more changes elided"]:::elided\n`);
+        return;
+      }
+
       // Show "(in function_name)" if assigned in a different function than the variable's scope
       // For globals: show if assigned inside any function
       // For locals: show if assigned in a nested function (rare)
       let locationLabel = '';
       const assignedIn = v.assignedIn || v.function;
       
-      if (varScope === 'global' && assignedIn !== 'global') {
+      if (isModuleScope(varScope) && assignedIn !== varScope) {
         locationLabel = ` (in ${assignedIn})`;
-      } else if (varScope !== 'global' && assignedIn !== varScope) {
+      } else if (!isModuleScope(varScope) && assignedIn !== varScope) {
         locationLabel = ` (in ${assignedIn})`;
       }
       
-      const label = `${rawName} = ${mermaidSafe(v.value)}<br/>line ${v.line}${locationLabel}`;
-      mermaidStr += `${nodeId}["${label}"]\n`;
-      if (i < trace.length - 1) {
-        mermaidStr += `${nodeId} --> N${i + 1}\n`;
+      // Element-level changes of containers and objects, e.g. 'index 3: 4 → 9'
+      const diffLines = (v.diff || []).slice(0, MAX_DIFF_LINES).map((d) => `<br/>${mermaidSafe(formatDiff(d))}`);
+      if (v.diff && v.diff.length > MAX_DIFF_LINES) {
+        diffLines.push(`<br/>… ${v.diff.length - MAX_DIFF_LINES} more`);
       }
+      
+      const where = showFiles ? `${v.file || entry}:${v.line}` : `line ${v.line}`;
+      const label = `${mermaidSafe(rawName)} = ${mermaidSafe(v.value)}${diffLines.join('')}<br/>${where}${mermaidSafe(locationLabel)}`;
+      nodeDefs.push(`${nodeId}["${label}"]\n`);
     });
 
-    if (error) {
-      const lastNode = trace.length > 0 ? `N${trace.length - 1}` : null;
+    if (grouped) {
+      invocations.forEach((invocation, g) => {
+        const members = nodes
+          .map((node, i) => i)
+          .filter((i) => nodes[i].v.invocation === invocation);
+        const call = calls.find((c) => c.invocation === invocation);
+        const [, callNumber] = invocation.split('#');
+        const title = call ? `${formatCall(call)} · call #${callNumber}` : invocation;
+
+        mermaidStr += `subgraph I${g}["${mermaidSafe(title)}"]\n`;
+        members.forEach((i, m) => {
+          mermaidStr += nodeDefs[i];
+          if (m > 0) {
+            mermaidStr += `${nodes[members[m - 1]].id} --> ${nodes[i].id}\n`;
+          }
+        });
+        mermaidStr += `end\n`;
+        if (g > 0) {
+          mermaidStr += `I${g - 1} -.-> I${g}\n`;
+        }
+      });
+    } else {
+      nodeDefs.forEach((nodeDef, i) => {
+        mermaidStr += nodeDef;
+        if (i < nodes.length - 1) {
+          mermaidStr += `${nodes[i].id} --> ${nodes[i + 1].id}\n`;
+        }
+      });
+    }
+    if (nodes.some(({ v }) => v.elided)) {
+      mermaidStr += `classDef elided fill:#1e293b,stroke:#64748b,stroke-dasharray:4 4,color:#94a3b8\n`;
+    }
+
+    const lastNode = nodes.length > 0 ? nodes[nodes.length - 1].id : null;
+
+    // The error only ends the histories of variables on the line that raised it
+    if (error && (!lastNode || isInvolvedInError(scopedVar, error, scopeInfo))) {
       const errorNode = `ERR`;
-      mermaidStr += `${errorNode}["❌ Error<br/>${mermaidSafe(error)}"]\n`;
+      mermaidStr += `${errorNode}["❌ ${mermaidSafe(`${error.type}: ${error.message}`)}"]\n`;
       if (lastNode) {
         mermaidStr += `${lastNode} --> ${errorNode}\n`;
       }
     }
 
+    if (cutOff) {
+      const cutOffNode = `CUT`;
+      mermaidStr += `${cutOffNode}["⏹ Execution was cut off<br/>${mermaidSafe(cutOff.message)}"]\n`;
+      if (lastNode) {
+        mermaidStr += `${lastNode} -.-> ${cutOffNode}\n`;
+      }
+    }
+
     return mermaidStr;
-  };
+  }, [files, entry, scopeInfo]);
+
+  const generateCallTree = useCallback((calls) => {
+    let mermaidStr = `%%{init: {'theme': 'dark', 'themeVariables': { 'primaryColor': '#334155', 'primaryTextColor': '#f8fafc', 'lineColor': '#4a90d9' }}}%%
+  graph TD
+  `;
+    mermaidStr += `MOD["module"]\n`;
+
+    // Callers always precede their callees, so every shown edge has both ends
+    const shown = calls.slice(0, MAX_CALL_NODES);
+    shown.forEach((call) => {
+      const nodeId = `C${call.id}`;
+      const parentId = call.caller === null ? 'MOD' : `C${call.caller}`;
+      const label = `${mermaidSafe(formatCall(call))}<br/>${mermaidSafe(formatCallResult(call))}`;
+      mermaidStr += `${nodeId}["${label}"]\n`;
+      const site = call.callerFile && call.callerFile !== entry ? `${call.callerFile}:${call.callerLine}` : `line ${call.callerLine}`;
+      mermaidStr += `${parentId} -->|"${site}"| ${nodeId}\n`;
+    });
 
-  const renderDiagram = async () => {
+    if (calls.length > shown.length) {
+      mermaidStr += `MORE["… ${calls.length - shown.length} more calls not shown"]\n`;
+    }
+
+    return mermaidStr;
+  }, [entry]);
+
+  // Nodes are variables and function results, grouped by the scope they
+  // belong to; an edge A -> B means B's value was computed from A's
+  const generateDataFlow = useCallback((edges, nodes) => {
+    let mermaidStr = `%%{init: {'theme': 'dark', 'themeVariables': { 'primaryColor': '#334155', 'primaryTextColor': '#f8fafc', 'lineColor': '#4a90d9' }}}%%
+  graph LR
+  `;
+    const nodeIds = new Map(nodes.map((node, i) => [node, `D${i}`]));
+    const nodeScope = (node) => (isReturnNode(node) ? node.slice(0, -2) : getScope(node));
+
+    [...new Set(nodes.map(nodeScope))].forEach((scope, g) => {
+      mermaidStr += `subgraph S${g}["${mermaidSafe(formatScopeName(scope))}"]\n`;
+      nodes.filter((node) => nodeScope(node) === scope).forEach((node) => {
+        const label = isReturnNode(node)
+          ? `↩ ${scope.split(':').pop()}() returned`
+          : getRawVarName(node);
+        const selected = node === activeVar ? ':::selected' : '';
+        mermaidStr += `${nodeIds.get(node)}["${mermaidSafe(label)}"]${selected}\n`;
+      });
+      mermaidStr += `end\n`;
+    });
+
+    edges.forEach(({ from, to, file, line, count }) => {
+      const label = `${formatLocation(file, line, entry)}${count > 1 ? ` ×${count}` : ''}`;
+      mermaidStr += `${nodeIds.get(from)} -->|"${mermaidSafe(label)}"| ${nodeIds.get(to)}\n`;
+    });
+    mermaidStr += `classDef selected stroke:#fbbf24,stroke-width:3px\n`;
+
+    return mermaidStr;
+  }, [activeVar, entry]);
+
+  // One node per block of the function, shaped by what it does: diamonds
+  // branch, hexagons are loop headers. Edges carry how often they were
+  // taken; blocks and edges the run never reached are greyed out.
+  const generateControlFlow = useCallback(({ file, scope, graph }, { edgeHits, blockHits }) => {
+    let mermaidStr = `%%{init: {'theme': 'dark', 'themeVariables': { 'primaryColor': '#334155', 'primaryTextColor': '#f8fafc', 'lineColor': '#4a90d9' }}}%%
+  graph TD
+  `;
+    const sourceLines = (files[file] || '').split('\n');
+    const isFunction = !isModuleScope(scope);
+
+    graph.blocks.forEach(({ id, kind, start, end }) => {
+      let node;
+      if (kind === 'entry') {
+        node = `(["▶ ${isFunction ? `${mermaidSafe(scope.split(':').pop())}() called` : 'start'}"])`;
+      } else if (kind === 'exit') {
+        node = `(["⏹ ${isFunction ? 'returned' : 'end'}"])`;
+      } else {
+        // Comparisons matter here, so '<' and '>' are escaped instead of dropped
+        const lines = sourceLines.slice(start - 1, end)
+          .map((text) => mermaidSafe(text.trim().replace(/</g, '#lt;').replace(/>/g, '#gt;')))
+          .filter(Boolean);
+        const shownLines = lines.slice(0, MAX_BLOCK_LINES);
+        if (lines.length > shownLines.length) {
+          shownLines.push(`… ${lines.length - shownLines.length} more lines`);
+        }
+        const label = `${formatLocation(file, start, entry)}<br/>${shownLines.join('<br/>')}`;
+        node = kind === 'branch' ? `{"${label}"}` : kind === 'loop' ? `{{"${label}"}}` : `["${label}"]`;
+      }
+      mermaidStr += `B${id}${node}${blockHits[id] === 0 ? ':::untaken' : ''}\n`;
+    });
+
+    graph.edges.forEach(({ from, to, label }, i) => {
+      const hits = edgeHits[i];
+      const text = [label, hits > 0 ? `×${hits}` : null].filter(Boolean).join(' ');
+      const arrow = hits > 0 ? '-->' : '-.->';
+      mermaidStr += text ? `B${from} ${arrow}|"${mermaidSafe(text)}"| B${to}\n` : `B${from} ${arrow} B${to}\n`;
+    });
+    mermaidStr += `classDef untaken fill:#1e293b,stroke:#475569,color:#64748b\n`;
+
+    return mermaidStr;
+  }, [files, entry]);
+
+  const generateMemoryDiagram = useCallback((snapshot, stale) => {
+    let mermaidStr = `%%{init: {'theme': 'dark', 'themeVariables': { 'primaryColor': '#334155', 'primaryTextColor': '#f8fafc', 'lineColor': '#4a90d9' }}}%%
+  graph LR
+  `;
+    const objectIds = {};
+    Object.keys(snapshot.heap).forEach((id, i) => {
+      objectIds[id] = `O${i}`;
+    });
+
+    const edges = [];
+    let hasDangling = false;
+    // Primitives are shown inline; references become '●' plus an arrow
+    const showRef = (ref, fromNode, edgeLabel) => {
+      if (!ref.ref) return mermaidSafe(ref.value);
+      const target = objectIds[ref.ref];
+      if (!target) hasDangling = true;
+      edges.push({ from: fromNode, to: target || 'MORE', label: edgeLabel });
+      return '●';
+    };
+
+    snapshot.frames.forEach((frame, f) => {
+      mermaidStr += `subgraph F${f}["${mermaidSafe(describeFrame(frame))}"]\n`;
+      const vars = Object.entries(frame.vars);
+      if (vars.length === 0) {
+        mermaidStr += `F${f}_empty["(no variables)"]\n`;
+      }
+      vars.forEach(([name, ref], v) => {
+        const nodeId = `F${f}_${v}`;
+        const shown = showRef(ref, nodeId, null);
+        mermaidStr += `${nodeId}["${ref.ref ? name : `${name} = ${shown}`}"]\n`;
+      });
+      mermaidStr += `end\n`;
+    });
+
+    Object.entries(snapshot.heap).forEach(([id, obj]) => {
+      const nodeId = objectIds[id];
+      let rows = [];
+      if (obj.kind === 'sequence' || obj.kind === 'set') {
+        rows = obj.items.map((item, i) => {
+          const label = obj.kind === 'set' ? '' : `[${i}]`;
+          return `${label} ${showRef(item, nodeId, label)}`.trim();
+        });
+      } else if (obj.kind === 'dict') {
+        rows = obj.entries.map(([key, value]) => {
+          const keyText = showRef(key, nodeId, null);
+          return `${keyText}: ${showRef(value, nodeId, keyText)}`;
+        });
+      } else if (obj.kind === 'instance') {
+        rows = Object.entries(obj.attrs).map(([name, value]) => `.${name} = ${showRef(value, nodeId, `.${name}`)}`);
+      } else {
+        rows = [mermaidSafe(obj.repr)];
+      }
+
+      if (obj.size > rows.length) {
+        rows.push(`… ${obj.size - rows.length} more`);
+      }
+      const header = obj.kind === 'instance' ? `${obj.type} instance` : obj.type;
+      mermaidStr += `${nodeId}["${mermaidSafe(header)}${rows.length ? '<br/>' + rows.join('<br/>') : ''}"]\n`;
+    });
+
+    if (hasDangling) {
+      mermaidStr += `MORE["… more objects not shown"]\n`;
+    }
+    if (stale) {
+      mermaidStr += `STALE["Memory snapshots stopped at step ${snapshot.step + 1}"]\n`;
+    }
+
+    edges.forEach(({ from, to, label }) => {
+      mermaidStr += label
+        ? `${from} -->|"${mermaidSafe(label)}"| ${to}\n`
+        : `${from} --> ${to}\n`;
+    });
+
+    return mermaidStr;
+  }, []);
+
+  const markSelectedCallNode = useCallback((callId) => {
     if (!diagramRef.current) return;
+    diagramRef.current.querySelectorAll('.node').forEach((node) => {
+      const match = /flowchart-C(\d+)-/.exec(node.id);
+      node.classList.toggle('call-node-selected', Boolean(match) && Number(match[1]) === callId);
+    });
+  }, []);
+
+  const handleCallClick = useCallback((callId) => {
+    const call = calls[callId];
+    if (!call) return;
+    setSelectedCallId(callId);
+    markSelectedCallNode(callId);
+    if (call.callerLine) {
+      revealLocation(call.callerFile, call.callerLine);
+    }
+  }, [calls, markSelectedCallNode, revealLocation]);
+
+  const bindCallTreeClicks = useCallback(() => {
+    diagramRef.current.querySelectorAll('.node').forEach((node) => {
+      const match = /flowchart-C(\d+)-/.exec(node.id);
+      if (!match) return;
+      node.style.cursor = 'pointer';
+      node.addEventListener('click', () => handleCallClick(Number(match[1])));
+    });
+    markSelectedCallNode(selectedCallIdRef.current);
+  }, [handleCallClick, markSelectedCallNode]);
+
+  // Hovering a block highlights its lines in the editor, clicking jumps there
+  const bindControlFlowHovers = useCallback(({ file, graph }) => {
+    const highlightBlock = (block) => {
+      const editor = editorRef.current;
+      if (!editor || !monacoRef.current) return;
+      const decorations = block && file === activeFileRef.current ? [{
+        range: new monacoRef.current.Range(block.start, 1, block.end, 1),
+        options: { isWholeLine: true, className: 'control-flow-block-highlight' }
+      }] : [];
+      blockDecorationsRef.current = editor.deltaDecorations(blockDecorationsRef.current, decorations);
+    };
+
+    diagramRef.current.querySelectorAll('.node').forEach((node) => {
+      const match = /flowchart-B(\d+)-/.exec(node.id);
+      const block = match && graph.blocks[Number(match[1])];
+      if (!block || block.start === null) return;
+      node.style.cursor = 'pointer';
+      node.addEventListener('mouseenter', () => highlightBlock(block));
+      node.addEventListener('mouseleave', () => highlightBlock(null));
+      node.addEventListener('click', () => revealLocation(file, block.start));
+    });
+  }, [revealLocation]);
+
+  // Clicking a variable opens its flow, clicking a function result the call tree
+  const bindDataFlowClicks = useCallback((nodes) => {
+    diagramRef.current.querySelectorAll('.node').forEach((node) => {
+      const match = /flowchart-D(\d+)-/.exec(node.id);
+      const dataFlowNode = match && nodes[Number(match[1])];
+      if (!dataFlowNode) return;
+      const call = isReturnNode(dataFlowNode)
+        && calls.find((c) => c.invocation.split('#')[0] === dataFlowNode.slice(0, -2));
+      node.style.cursor = 'pointer';
+      node.addEventListener('click', () => {
+        if (call) {
+          setSelectedCallId(call.id);
+          setDiagramView('calls');
+        } else if (!isReturnNode(dataFlowNode)) {
+          setSelectedVar(dataFlowNode);
+          setDiagramView('variables');
+        }
+      });
+    });
+  }, [calls]);
+
+  // Clicking a value in the variable flow jumps to the line that set it,
+  // the error and cut-off nodes to where the run ended
+  const bindVariableFlowClicks = useCallback((trace) => {
+    const errorFrame = error && error.frames && error.frames[error.frames.length - 1];
+    const endings = {
+      ERR: errorFrame,
+      CUT: cutOff && cutOff.line ? cutOff : null
+    };
+    diagramRef.current.querySelectorAll('.node').forEach((node) => {
+      const ending = Object.keys(endings).find((id) => node.id.includes(`flowchart-${id}-`));
+      if (ending && endings[ending]) {
+        node.style.cursor = 'pointer';
+        node.addEventListener('click', () => revealLocation(endings[ending].file, endings[ending].line));
+        return;
+      }
+      const match = /flowchart-N(\d+)-/.exec(node.id);
+      const entryAtNode = match && trace[Number(match[1])];
+      if (!entryAtNode || entryAtNode.elided) return;
+      node.style.cursor = 'pointer';
+      node.addEventListener('click', () => {
+        revealLocation(entryAtNode.file, entryAtNode.line);
+        setInspected({ scopedVar: activeVar, entry: entryAtNode });
+      });
+    });
+  }, [error, cutOff, activeVar, revealLocation]);
+
+  const renderDiagram = useCallback(async () => {
+    if (!diagramRef.current) return;
+    diagramDefRef.current = null;
 
     if (!hasRun) {
       diagramRef.current.innerHTML =
@@ -457,15 +1333,63 @@ function App() {
       return;
     }
 
-    const trace = allTraceData[activeVar] || [];
-    if (trace.length === 0 && !errorMessage) {
-      diagramRef.current.innerHTML =
-        '<p class="diagram-placeholder">Hover over an assignment or select a variable</p>';
-      resetView();
+    // The Compare view is a table, drawn by SwimlaneView instead of Mermaid
+    if (diagramView === 'compare') {
+      diagramRef.current.innerHTML = '';
       return;
     }
 
-    const diagramDef = generateMermaid(trace, activeVar, errorMessage);
+    let diagramDef;
+    let dataFlowNodes = [];
+    if (diagramView === 'controlflow') {
+      if (!shownControlFlow) {
+        diagramRef.current.innerHTML =
+          '<p class="diagram-placeholder">No control-flow graph for this program</p>';
+        resetView();
+        return;
+      }
+      const { file, scope, graph } = shownControlFlow;
+      diagramDef = generateControlFlow(shownControlFlow, collectControlFlowHits(graph, steps, file, scope));
+    } else if (diagramView === 'dataflow') {
+      if (dataFlowEdges.length === 0) {
+        diagramRef.current.innerHTML =
+          '<p class="diagram-placeholder">No dependencies between variables were traced</p>';
+        resetView();
+        return;
+      }
+      const shownEdges = dataFlowEdges.slice(0, MAX_DATAFLOW_EDGES);
+      dataFlowNodes = [...new Set(shownEdges.flatMap(({ from, to }) => [from, to]))];
+      diagramDef = generateDataFlow(shownEdges, dataFlowNodes);
+    } else if (diagramView === 'calls') {
+      if (calls.length === 0) {
+        diagramRef.current.innerHTML =
+          '<p class="diagram-placeholder">No function calls were traced</p>';
+        resetView();
+        return;
+      }
+      diagramDef = generateCallTree(calls);
+    } else if (diagramView === 'memory') {
+      // Follow the timeline when scrubbing, otherwise show the final state
+      const step = memoryStep ?? Infinity;
+      const snapshot = getEntryAtStep(heapSnapshots, step);
+      if (!snapshot) {
+        diagramRef.current.innerHTML =
+          '<p class="diagram-placeholder">No memory snapshot recorded yet</p>';
+        resetView();
+        return;
+      }
+      const stale = heapLimitReached && snapshot === heapSnapshots[heapSnapshots.length - 1] && step > snapshot.step;
+      diagramDef = generateMemoryDiagram(snapshot, stale);
+    } else {
+      const trace = tracedData[activeVar] || [];
+      if (trace.length === 0 && !error && !cutOff) {
+        diagramRef.current.innerHTML =
+          '<p class="diagram-placeholder">Hover over an assignment or select a variable</p>';
+        resetView();
+        return;
+      }
+      diagramDef = generateMermaid(trace, activeVar, error, cutOff, calls);
+    }
     diagramIdRef.current += 1;
 
     try {
@@ -474,12 +1398,23 @@ function App() {
         diagramDef
       );
       diagramRef.current.innerHTML = svg;
+      diagramDefRef.current = diagramDef;
 
       const rects = diagramRef.current.querySelectorAll('.node rect, .label-container');
       rects.forEach((rect) => {
         rect.setAttribute('rx', '10');
         rect.setAttribute('ry', '10');
       });
+
+      if (diagramView === 'calls') {
+        bindCallTreeClicks();
+      } else if (diagramView === 'dataflow') {
+        bindDataFlowClicks(dataFlowNodes);
+      } else if (diagramView === 'controlflow') {
+        bindControlFlowHovers(shownControlFlow);
+      } else if (diagramView === 'variables') {
+        bindVariableFlowClicks(tracedData[activeVar] || []);
+      }
       
       // Reset view when new diagram is rendered
       resetView();
@@ -487,41 +1422,209 @@ function App() {
       diagramRef.current.innerHTML =
         `<pre style="color:red">Mermaid error:\n${err.message}</pre>`;
     }
-  };
+  }, [hasRun, hasSyntaxError, diagramView, shownControlFlow, steps, dataFlowEdges, calls, memoryStep, heapSnapshots, heapLimitReached, tracedData, activeVar, error, cutOff, resetView, generateControlFlow, generateDataFlow, generateCallTree, generateMemoryDiagram, generateMermaid, bindCallTreeClicks, bindDataFlowClicks, bindControlFlowHovers, bindVariableFlowClicks]);
 
   const handleRun = async () => {
     setRunning(true);
     setOutput('Running...\n');
     setAllTraceData({});
+    setWatchData({});
+    setSteps([]);
+    setCurrentStep(null);
+    setCalls([]);
+    setSelectedCallId(null);
+    setInspected(null);
+    setCoverage(EMPTY_COVERAGE);
+    setHeapSnapshots([]);
+    setHeapLimitReached(false);
     setScopeInfo({ lineToScope: {}, scopeToLocals: {} });
     setSelectedVar('');
     setHoveredVar(null);
-    setErrorMessage(null);
+    setError(null);
+    setCutOff(null);
     setHasRun(false);
+    setTraceSession(null);
     clearHighlights();
     resetView();
     if (diagramRef.current) diagramRef.current.innerHTML = '';
 
     try {
-      const code = editorRef.current.getValue();
-      const { output: progOutput, traceData, errorMessage, scopeInfo } = await runAndTrace(code);
+      const { [entry]: code, ...otherFiles } = files;
+      const { output: progOutput, stdout, traceData, watchData, steps, calls, heapSnapshots, heapLimitReached, errorMessage, error, scopeInfo, coverage, cutOff } = await runAndTrace(code, {
+        files: otherFiles,
+        entry,
+        stdin: programInput,
+        timeoutMs: timeoutSeconds * 1000,
+        maxEvents,
+        freshInterpreter,
+        breakpoints: breakpointList.map((b) => ({ ...b, condition: b.condition.trim() })),
+        watches,
+        onOutput: (text) => setOutput((prev) => prev + text),
+        onPause: (state) => {
+          setPaused(state);
+          openFile(state.file || entry);
+        }
+      });
 
       setAllTraceData(traceData);
+      setWatchData(watchData || {});
+      setSteps(steps || []);
+      setCalls(calls || []);
+      setHeapSnapshots(heapSnapshots || []);
+      setHeapLimitReached(Boolean(heapLimitReached));
       setScopeInfo(scopeInfo || { lineToScope: {}, scopeToLocals: {} });
-      setErrorMessage(errorMessage || null);
+      setCoverage(coverage || EMPTY_COVERAGE);
+      setError(error || null);
+      setCutOff(cutOff || null);
       setOutput(progOutput || '(no output)');
       setHasRun(true);
+      setTraceSession(createSession({
+        source: code,
+        entry,
+        files: otherFiles,
+        stdin: programInput,
+        watches,
+        stdout,
+        errorMessage,
+        error,
+        cutOff,
+        traceData,
+        watchData,
+        steps,
+        calls,
+        heapSnapshots,
+        heapLimitReached,
+        scopeInfo,
+        coverage
+      }));
     } catch (err) {
       setOutput(`Error: ${err.message}`);
       setHasRun(true);
     }
 
+    setPaused(null);
     setRunning(false);
   };
 
+  // In the Compare view, picking a variable also adds it as a column
+  const selectVariable = (scopedVar) => {
+    setSelectedVar(scopedVar);
+    if (diagramView === 'compare' && scopedVar && !comparedVars.includes(scopedVar)) {
+      setComparedVars([...comparedVars, scopedVar]);
+    }
+  };
+
+  const showCompareView = () => {
+    if (comparedVars.length === 0 && selectedVar) {
+      setComparedVars([selectedVar]);
+    }
+    setDiagramView('compare');
+  };
+
+  const getDiagramFileName = () => {
+    if (diagramView === 'calls') return 'call-tree';
+    if (diagramView === 'memory') return 'memory';
+    if (diagramView === 'dataflow') return 'data-flow';
+    if (diagramView === 'controlflow') return `control-flow-${toFileName(shownControlFlow ? shownControlFlow.scope : 'global')}`;
+    return toFileName(activeVar);
+  };
+
+  const exportAllVariables = async () => {
+    const sections = [];
+    for (const scopedVar of orderVarKeys(tracedData)) {
+      const definition = generateMermaid(tracedData[scopedVar], scopedVar, error, cutOff, calls);
+      const { svg } = await renderStandaloneSvg(definition);
+      sections.push({ heading: getDisplayName(scopedVar, tracedData), svg });
+    }
+    const source = Object.keys(files).length > 1
+      ? Object.entries(files).map(([name, text]) => `# ${name}\n${text}`).join('\n\n')
+      : files[entry];
+    const html = buildDiagramDocument('Variable histories', source, sections);
+    downloadBlob('variables.html', new Blob([html], { type: 'text/html' }));
+  };
+
+  const handleExportDiagram = async (format) => {
+    try {
+      if (format === 'all') {
+        await exportAllVariables();
+        return;
+      }
+
+      const definition = diagramDefRef.current;
+      if (!definition) return;
+      const fileName = getDiagramFileName();
+      if (format === 'mermaid') {
+        downloadBlob(`${fileName}.mmd`, new Blob([definition], { type: 'text/plain' }));
+        return;
+      }
+
+      const rendered = await renderStandaloneSvg(definition);
+      if (format === 'svg') {
+        downloadBlob(`${fileName}.svg`, new Blob([rendered.svg], { type: 'image/svg+xml' }));
+      } else {
+        downloadBlob(`${fileName}@${pngScale}x.png`, await svgToPng(rendered, pngScale));
+      }
+    } catch (err) {
+      setOutput((prev) => `${prev}\nExport failed: ${err.message}`);
+    }
+  };
+
+  const handleExportTrace = () => {
+    downloadBlob(
+      `trace-${traceSession.createdAt.replace(/[:.]/g, '-')}.json`,
+      new Blob([serializeSession(traceSession)], { type: 'application/json' })
+    );
+  };
+
+  // Loads a recorded trace and shows it as if it had just run; nothing executes
+  const handleImportTrace = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    let session;
+    try {
+      session = parseSession(await file.text());
+    } catch (err) {
+      setOutput(`Error: ${err.message}`);
+      return;
+    }
+
+    // Replacing the sources fires the edit listener, which clears the old trace first
+    const projectFiles = { ...session.files, [session.entry]: session.source };
+    Object.entries(projectFiles).forEach(([file, text]) => {
+      const model = getModel(file);
+      if (model) model.setValue(text);
+    });
+    setFiles(projectFiles);
+    setEntry(session.entry);
+    setOpenFiles([session.entry]);
+    openFile(session.entry);
+    setProgramInput(session.stdin);
+    setAllTraceData(session.traceData);
+    setWatches(session.watches);
+    setWatchData(session.watchData);
+    setSteps(session.steps);
+    setCurrentStep(null);
+    setCalls(session.calls);
+    setSelectedCallId(null);
+    setInspected(null);
+    setCoverage(session.coverage);
+    setHeapSnapshots(session.heapSnapshots);
+    setHeapLimitReached(session.heapLimitReached);
+    setScopeInfo(session.scopeInfo);
+    setSelectedVar('');
+    setHoveredVar(null);
+    setError(session.error);
+    setCutOff(session.cutOff);
+    setOutput(buildOutput(session.stdout, session.errorMessage, session.cutOff) || '(no output)');
+    setHasRun(true);
+    setTraceSession(session);
+  };
+
   useEffect(() => {
     renderDiagram();
-  }, [activeVar, allTraceData, errorMessage, hasRun]);
+  }, [renderDiagram]);
 
   return (
     <div className="app-container">
@@ -544,23 +1647,95 @@ function App() {
           Variable to trace:
           <select
             value={selectedVar}
-            onChange={(e) => setSelectedVar(e.target.value)}
+            onChange={(e) => selectVariable(e.target.value)}
             style={{ marginLeft: '0.5rem' }}
           >
             <option value="">-- select --</option>
-            {Object.keys(allTraceData).map((v) => (
+            {orderVarKeys(allTraceData).map((v) => (
               <option key={v} value={v}>{getDisplayName(v, allTraceData)}</option>
             ))}
+            {Object.keys(watchData).length > 0 && (
+              <optgroup label="Watches">
+                {orderVarKeys(watchData).map((v) => (
+                  <option key={v} value={v}>{getDisplayName(v, watchData)}</option>
+                ))}
+              </optgroup>
+            )}
           </select>
         </label>
 
+        <label className="limit-input">
+          Timeout (s):
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={timeoutSeconds}
+            onChange={(e) => setTimeoutSeconds(Math.max(1, Number(e.target.value) || 1))}
+            disabled={running}
+          />
+        </label>
+
+        <label className="limit-input">
+          Max events:
+          <input
+            type="number"
+            min="100"
+            step="1000"
+            value={maxEvents}
+            onChange={(e) => setMaxEvents(Math.max(100, Number(e.target.value) || 100))}
+            disabled={running}
+          />
+        </label>
+
+        <label className="limit-input" title="Reload Python before every run so nothing imported by an earlier run is left over (slower)">
+          <input
+            type="checkbox"
+            className="limit-checkbox"
+            checked={freshInterpreter}
+            onChange={(e) => setFreshInterpreter(e.target.checked)}
+            disabled={running}
+          />
+          Fresh interpreter
+        </label>
+
         <button
           className="run-button"
           onClick={handleRun}
           disabled={running}
         >
-          {running ? 'Running...' : 'Run & Trace'}
+          {running ? (paused ? 'Paused' : 'Running...') : 'Run & Trace'}
+        </button>
+
+        {running && (
+          <button className="stop-button" onClick={stopExecution}>
+            Stop
+          </button>
+        )}
+
+        <button
+          className="session-button"
+          onClick={handleExportTrace}
+          disabled={running || !traceSession}
+          title="Save this run as a JSON trace file"
+        >
+          Export Trace
+        </button>
+        <button
+          className="session-button"
+          onClick={() => sessionInputRef.current.click()}
+          disabled={running}
+          title="Open a saved trace without running anything"
+        >
+          Import Trace
         </button>
+        <input
+          ref={sessionInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImportTrace}
+          style={{ display: 'none' }}
+        />
       </div>
 
       {/* Main layout */}
@@ -568,85 +1743,85 @@ function App() {
         {/* Editor */}
         <div className="editor-panel">
           <h3 className="panel-header">Code Editor</h3>
-          <div className="editor-container">
-            <Editor
-              height="100%"
-              language={language}
-              theme="vs-dark"
-    defaultValue={`# Global variables
-count = 0
-x = 100
-name = "global"
-
-def outer_function():
-    # Local variable that shadows global 'x'
-    x = 50
-    y = 10
-
-    def inner_function():
-        # Local variable that shadows outer's 'x'
-        x = 25
-        z = 5
-        print(f"inner: x={x}, z={z}")
-        return x + z
-
-    result = inner_function()
-    x = x + y  # modifies outer's local x
-    print(f"outer: x={x}, y={y}, result={result}")
-    return x
-
-def modifier():
-    # Accesses and modifies global 'count'
-    global count
-    count = count + 1
-    step = 10
-    print(f"modifier: count={count}, step={step}")
-    return step
-
-def reader():
-    # Reads global 'x' without shadowing
-    temp = x + 5
-    print(f"reader: using global x={x}, temp={temp}")
-    return temp
-
-def loop_example():
-    # Loop variable 'i' and accumulator 'total'
-    total = 0
-    for i in range(5):
-        total = total + i
-        x = i * 2  # local 'x' shadows global
-    print(f"loop: total={total}, final i={i}, local x={x}")
-    return total
-
-def multi_assign():
-    # Multiple variables, some shadow, some don't
-    a = 1
-    b = 2
-    name = "local"  # shadows global 'name'
-    a = a + b
-    b = b * 2
-    print(f"multi: a={a}, b={b}, name={name}, global count={count}")
-    return a + b
-
-# Main execution
-print(f"Start: count={count}, x={x}, name={name}")
-
-modifier()
-modifier()
-outer_result = outer_function()
-reader_result = reader()
-loop_result = loop_example()
-multi_result = multi_assign()
-
-print(f"End: count={count}, x={x}, name={name}")
-print(f"Results: outer={outer_result}, reader={reader_result}, loop={loop_result}, multi={multi_result}")`}
-              onMount={handleEditorMount}
+          <div className="editor-workspace">
+            <FileTree
+              files={Object.keys(files)}
+              activeFile={activeFile}
+              entry={entry}
+              onOpen={openFile}
+              onAdd={handleAddFile}
+              onDelete={handleDeleteFile}
+              disabled={running}
             />
+            <div className="editor-column">
+              <div className="editor-tabs">
+                {openFiles.map((file) => (
+                  <div key={file} className={`editor-tab${file === activeFile ? ' active' : ''}`}>
+                    <button onClick={() => openFile(file)}>{file}</button>
+                    {openFiles.length > 1 && (
+                      <button className="editor-tab-close" onClick={() => closeTab(file)} title={`Close ${file}`}>
+                        ×
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+              <div className="editor-container">
+                <Editor
+                  height="100%"
+                  language={activeFile.endsWith('.py') ? language : 'plaintext'}
+                  theme="vs-dark"
+                  path={activeFile}
+                  defaultValue={files[activeFile]}
+                  options={{ glyphMargin: true }}
+                  onChange={handleCodeChange}
+                  onMount={handleEditorMount}
+                />
+              </div>
+            </div>
           </div>
+          {(breakpointList.length > 0 || paused) && (
+            <DebugPanel
+              key={paused ? `paused-${paused.step}` : 'idle'}
+              breakpoints={breakpointList}
+              paused={paused}
+              entry={entry}
+              supported={canPause()}
+              onConditionChange={setBreakpointCondition}
+              onRemove={toggleBreakpoint}
+              onResume={handleResume}
+              onFrameSelect={(frame) => revealLocation(frame.file, frame.line)}
+            />
+          )}
+          {steps.length > 0 && (
+            <Timeline
+              steps={steps}
+              currentStep={currentStep}
+              onStepChange={handleStepChange}
+              allTraceData={tracedData}
+              entry={entry}
+              onInspect={(scopedVar, traceEntry) => setInspected({ scopedVar, entry: traceEntry })}
+            />
+          )}
         </div>
 
         {/* Output + Diagram */}
         <div className="output-diagram-panel">
+          <div className="input-panel">
+            <h3 className="panel-header">Program Input</h3>
+            <textarea
+              className="program-input"
+              value={programInput}
+              onChange={(e) => setProgramInput(e.target.value)}
+              placeholder="One line per input() call"
+              spellCheck={false}
+              disabled={running}
+            />
+          </div>
+          <div className="input-panel">
+            <h3 className="panel-header">Watch Expressions</h3>
+            <WatchList watches={watches} onChange={setWatches} disabled={running} />
+          </div>
           <div className="output-panel">
             <h3 className="panel-header">Console Output</h3>
             <div className="output-container">
@@ -655,17 +1830,96 @@ print(f"Results: outer={outer_result}, reader={reader_result}, loop={loop_result
           </div>
           <div className="diagram-panel">
             <h3 className="panel-header">
-              Variable Flow
-              {activeVar && <span style={{ fontWeight: 'normal', marginLeft: '0.5rem' }}>— {getDisplayName(activeVar, allTraceData)}</span>}
+              <span className="diagram-export">
+                <select
+                  value=""
+                  onChange={(e) => handleExportDiagram(e.target.value)}
+                  disabled={!hasRun || hasSyntaxError}
+                  title="Save the diagram for slides or notes"
+                >
+                  <option value="" disabled>Export…</option>
+                  <option value="svg" disabled={diagramView === 'compare'}>Diagram as SVG</option>
+                  <option value="png" disabled={diagramView === 'compare'}>Diagram as PNG</option>
+                  <option value="mermaid" disabled={diagramView === 'compare'}>Mermaid source</option>
+                  <option value="all" disabled={!hasTraceData}>All variables (HTML)</option>
+                </select>
+                <select
+                  value={pngScale}
+                  onChange={(e) => setPngScale(Number(e.target.value))}
+                  title="PNG scale"
+                >
+                  {PNG_SCALES.map((scale) => (
+                    <option key={scale} value={scale}>{scale}×</option>
+                  ))}
+                </select>
+              </span>
+              <button
+                className={`panel-tab${diagramView === 'variables' ? ' active' : ''}`}
+                onClick={() => setDiagramView('variables')}
+              >
+                Variable Flow
+              </button>
+              <button
+                className={`panel-tab${diagramView === 'calls' ? ' active' : ''}`}
+                onClick={() => setDiagramView('calls')}
+              >
+                Call Tree
+              </button>
+              <button
+                className={`panel-tab${diagramView === 'dataflow' ? ' active' : ''}`}
+                onClick={() => setDiagramView('dataflow')}
+              >
+                Data Flow
+              </button>
+              <button
+                className={`panel-tab${diagramView === 'controlflow' ? ' active' : ''}`}
+                onClick={() => setDiagramView('controlflow')}
+              >
+                Control Flow
+              </button>
+              <button
+                className={`panel-tab${diagramView === 'memory' ? ' active' : ''}`}
+                onClick={() => setDiagramView('memory')}
+              >
+                Memory
+              </button>
+              <button
+                className={`panel-tab${diagramView === 'compare' ? ' active' : ''}`}
+                onClick={showCompareView}
+              >
+                Compare
+              </button>
+              {diagramView === 'variables' && activeVar && <span style={{ fontWeight: 'normal', marginLeft: '0.5rem' }}>— {getDisplayName(activeVar, tracedData)}</span>}
               {zoom !== 1 && <span style={{ fontWeight: 'normal', marginLeft: '0.5rem', fontSize: '0.8rem', color: '#666' }}>({Math.round(zoom * 100)}%)</span>}
             </h3>
+            {diagramView === 'compare' && hasRun && (
+              <SwimlaneView
+                tracedData={tracedData}
+                watchKeys={Object.keys(watchData)}
+                scopedVars={comparedVars}
+                onChange={setComparedVars}
+                currentStep={currentStep}
+                onStepSelect={handleStepChange}
+                entry={entry}
+              />
+            )}
+            {diagramView === 'controlflow' && hasRun && shownControlFlow && (
+              <div className="control-flow-picker">
+                <select value={shownControlFlow.scope} onChange={(e) => setControlFlowScope(e.target.value)}>
+                  {controlFlowScopes.map(({ scope }) => (
+                    <option key={scope} value={scope}>{formatScopeName(scope)}</option>
+                  ))}
+                </select>
+              </div>
+            )}
             <div
               className="diagram-container"
               ref={diagramContainerRef}
+              style={{ display: diagramView === 'compare' && hasRun ? 'none' : undefined }}
             >
               <div
                 ref={diagramRef}
-                className="diagram-content"
+                className={`diagram-content${diagramView === 'controlflow' ? ' control-flow' : ''}`}
                 style={{
                   transform: `translate(${pan.x}px, ${pan.y}px) scale(${zoom})`,
                   transformOrigin: 'center center',
@@ -673,6 +1927,18 @@ print(f"Results: outer={outer_result}, reader={reader_result}, loop={loop_result
                 }}
               />
             </div>
+            {diagramView === 'calls' && calls[selectedCallId] && (
+              <CallDetails call={calls[selectedCallId]} entry={entry} />
+            )}
+            {inspected && (
+              <ValueInspector
+                key={`${inspected.scopedVar}@${inspected.entry.step}`}
+                name={getDisplayName(inspected.scopedVar, tracedData)}
+                entry={inspected.entry}
+                location={formatLocation(inspected.entry.file, inspected.entry.line, entry)}
+                onClose={() => setInspected(null)}
+              />
+            )}
           </div>
         </div>
       </div>
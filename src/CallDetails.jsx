@@ -0,0 +1,31 @@
+import { formatCall, formatCallResult, formatScopeName, formatLocation } from './traceUtils';
+
+function CallDetails({ call, entry }) {
+  const caller = formatScopeName(call.callerFunction);
+  const locals = Object.entries(call.locals);
+
+  return (
+    <div className="call-details">
+      <div className="call-details-summary">
+        <strong>{formatCall(call)}</strong> {formatCallResult(call)}
+        <span className="call-details-site">
+          called from {formatLocation(call.callerFile, call.callerLine, entry)} in {caller}
+        </span>
+      </div>
+      {locals.length > 0 && (
+        <table>
+          <tbody>
+            {locals.map(([name, value]) => (
+              <tr key={name}>
+                <td>{name}</td>
+                <td>{value}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default CallDetails;
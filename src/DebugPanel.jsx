@@ -0,0 +1,86 @@
+import { useState } from 'react';
+import { formatScopeName, formatLocation } from './traceUtils';
+
+const RESUME_BUTTONS = [
+  { command: 'continue', label: '▶ Continue', title: 'Run to the next breakpoint' },
+  { command: 'over', label: '⤼ Step Over', title: 'Run to the next line of this function' },
+  { command: 'into', label: '⤓ Step Into', title: 'Stop at the next line that runs, even inside a call' },
+  { command: 'out', label: '⤒ Step Out', title: 'Run until this function returns' }
+];
+
+// Breakpoint list with conditions and, while the program is paused, the
+// resume controls, call stack and the selected frame's variables
+function DebugPanel({
+  breakpoints, paused, entry, supported, onConditionChange, onRemove, onResume, onFrameSelect
+}) {
+  const [frameIndex, setFrameIndex] = useState(0);
+  const frame = paused ? paused.stack[Math.min(frameIndex, paused.stack.length - 1)] : null;
+
+  const selectFrame = (index) => {
+    setFrameIndex(index);
+    onFrameSelect(paused.stack[index]);
+  };
+
+  return (
+    <div className="debug-panel">
+      {!supported && (
+        <div className="debug-note">
+          Breakpoints need a cross-origin isolated page (SharedArrayBuffer); this run won't pause.
+        </div>
+      )}
+      {paused && (
+        <div className="debug-paused">
+          <div className="debug-caption">
+            Paused at {formatLocation(paused.file, paused.line, entry)}
+            {paused.reason === 'breakpoint' ? ' (breakpoint)' : ''}
+            {paused.conditionError && (
+              <span className="debug-error"> — condition failed: {paused.conditionError}</span>
+            )}
+          </div>
+          <div className="debug-controls">
+            {RESUME_BUTTONS.map(({ command, label, title }) => (
+              <button key={command} onClick={() => onResume(command)} title={title}>{label}</button>
+            ))}
+          </div>
+          <div className="debug-state">
+            <ol className="debug-stack">
+              {paused.stack.map((f, i) => (
+                <li key={f.invocation} className={f === frame ? 'active' : ''}>
+                  <button onClick={() => selectFrame(i)}>
+                    {formatScopeName(f.function)} <span>{formatLocation(f.file, f.line, entry)}</span>
+                  </button>
+                </li>
+              ))}
+            </ol>
+            <table>
+              <tbody>
+                {Object.entries(frame.locals).map(([name, value]) => (
+                  <tr key={name}>
+                    <td>{name}</td>
+                    <td>{value}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+      <ul className="debug-breakpoints">
+        {breakpoints.map(({ file, line, condition }) => (
+          <li key={`${file}:${line}`}>
+            <span className="debug-location">{formatLocation(file, line, entry)}</span>
+            <input
+              value={condition}
+              onChange={(e) => onConditionChange(file, line, e.target.value)}
+              placeholder="condition, e.g. i == 3"
+              spellCheck={false}
+            />
+            <button onClick={() => onRemove(file, line)} title="Remove breakpoint">×</button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default DebugPanel;
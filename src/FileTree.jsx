@@ -0,0 +1,65 @@
+import { useState } from 'react';
+
+// 'helpers.py', 'data.txt', 'pkg/util.py'
+const FILE_NAME_PATTERN = /^[\w-]+(\/[\w-]+)*\.\w+$/;
+
+function FileTree({ files, activeFile, entry, onOpen, onAdd, onDelete, disabled }) {
+  const [newName, setNewName] = useState('');
+  const [problem, setProblem] = useState(null);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!FILE_NAME_PATTERN.test(name)) {
+      setProblem('Use a name like helpers.py');
+      return;
+    }
+    if (files.includes(name)) {
+      setProblem(`${name} already exists`);
+      return;
+    }
+    onAdd(name);
+    setNewName('');
+    setProblem(null);
+  };
+
+  return (
+    <div className="file-tree">
+      <ul>
+        {files.map((name) => (
+          <li key={name} className={name === activeFile ? 'active' : ''}>
+            <button
+              className="file-tree-name"
+              onClick={() => onOpen(name)}
+              title={name === entry ? `${name} — Run & Trace starts here` : name}
+            >
+              {name}{name === entry && ' ▸'}
+            </button>
+            {name !== entry && (
+              <button
+                className="file-tree-delete"
+                onClick={() => onDelete(name)}
+                disabled={disabled}
+                title={`Delete ${name}`}
+              >
+                ×
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={handleAdd}>
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="new_file.py"
+          spellCheck={false}
+          disabled={disabled}
+        />
+      </form>
+      {problem && <div className="file-tree-problem">{problem}</div>}
+    </div>
+  );
+}
+
+export default FileTree;
@@ -0,0 +1,115 @@
+import { getDisplayName, orderVarKeys, formatLocation, formatScopeName } from './traceUtils';
+
+// Runs that change the compared variables thousands of times would make a
+// table nobody can read; the rest of the rows are only counted
+const MAX_ROWS = 500;
+
+// One row per step at which any compared variable changed, in execution
+// order: { step, file, line, function, cells, shown }. cells holds the
+// entries recorded at that step, shown the entry in effect for every column
+const buildRows = (tracedData, scopedVars) => {
+  const rows = new Map();
+  for (const scopedVar of scopedVars) {
+    for (const traceEntry of tracedData[scopedVar] || []) {
+      if (!rows.has(traceEntry.step)) {
+        rows.set(traceEntry.step, {
+          step: traceEntry.step,
+          file: traceEntry.file,
+          line: traceEntry.line,
+          function: traceEntry.assignedIn || traceEntry.function,
+          cells: {}
+        });
+      }
+      rows.get(traceEntry.step).cells[scopedVar] = traceEntry;
+    }
+  }
+  const ordered = [...rows.values()].sort((a, b) => a.step - b.step);
+  let inEffect = {};
+  for (const row of ordered) {
+    inEffect = { ...inEffect, ...row.cells };
+    row.shown = inEffect;
+  }
+  return ordered;
+};
+
+// Several variables side by side: a column per variable and a row per step
+// that changed any of them, so the order of their changes reads top to
+// bottom. Cells a row didn't change repeat the value still in effect, dimmed.
+function SwimlaneView({ tracedData, watchKeys, scopedVars, onChange, currentStep, onStepSelect, entry }) {
+  const rows = buildRows(tracedData, scopedVars);
+  const shownRows = rows.slice(0, MAX_ROWS);
+  const candidates = orderVarKeys(tracedData).filter((v) => !scopedVars.includes(v));
+
+  return (
+    <div className="swimlane-view">
+      <div className="swimlane-picker">
+        {scopedVars.map((scopedVar) => (
+          <span key={scopedVar} className="watch-chip">
+            <code>{getDisplayName(scopedVar, tracedData)}</code>
+            <button onClick={() => onChange(scopedVars.filter((v) => v !== scopedVar))} title="Remove column">
+              ×
+            </button>
+          </span>
+        ))}
+        <select value="" onChange={(e) => onChange([...scopedVars, e.target.value])}>
+          <option value="" disabled>Add variable…</option>
+          {candidates.filter((v) => !watchKeys.includes(v)).map((v) => (
+            <option key={v} value={v}>{getDisplayName(v, tracedData)}</option>
+          ))}
+          {candidates.some((v) => watchKeys.includes(v)) && (
+            <optgroup label="Watches">
+              {candidates.filter((v) => watchKeys.includes(v)).map((v) => (
+                <option key={v} value={v}>{getDisplayName(v, tracedData)}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+      </div>
+
+      {scopedVars.length === 0 ? (
+        <p className="diagram-placeholder">Add variables to compare how their changes interleave</p>
+      ) : (
+        <table className="swimlane-table">
+          <thead>
+            <tr>
+              <th>Step</th>
+              <th>Where</th>
+              {scopedVars.map((scopedVar) => (
+                <th key={scopedVar}>{getDisplayName(scopedVar, tracedData)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {shownRows.map((row) => (
+              <tr
+                key={row.step}
+                className={row.step === currentStep ? 'active' : ''}
+                onClick={() => onStepSelect(row.step)}
+                title="Show this step in the timeline"
+              >
+                <td>{row.step + 1}</td>
+                <td>
+                  {formatLocation(row.file, row.line, entry)}
+                  <span className="swimlane-scope"> {formatScopeName(row.function)}</span>
+                </td>
+                {scopedVars.map((scopedVar) => {
+                  const shown = row.shown[scopedVar];
+                  return (
+                    <td key={scopedVar} className={row.cells[scopedVar] ? 'swimlane-changed' : 'swimlane-unchanged'}>
+                      {shown ? (shown.elided ? `⋯ ${shown.elided} changes elided` : shown.value) : ''}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {rows.length > shownRows.length && (
+        <div className="swimlane-more">… {rows.length - shownRows.length} more steps</div>
+      )}
+    </div>
+  );
+}
+
+export default SwimlaneView;
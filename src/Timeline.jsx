@@ -0,0 +1,130 @@
+import { useState, useEffect } from 'react';
+import { getDisplayName, getEntryAtStep, getIndexAtStep, formatScopeName, formatLocation } from './traceUtils';
+
+const PLAYBACK_INTERVAL_MS = 400;
+
+// How an exception got to a step: raised there, passing through on its way
+// out of a call, or caught by the line about to run
+const EXCEPTION_VERBS = { raise: 'raised', propagate: 'propagating', catch: 'caught' };
+
+const describeStep = (step, entry) => {
+  const where = formatScopeName(step.function);
+  const location = formatLocation(step.file, step.line, entry);
+  if (step.elided) {
+    return `⋯ ${step.elided} steps elided, from ${location} in ${where}`;
+  }
+  if (step.exception) {
+    const { type, message, kind } = step.exception;
+    return `${type}${message ? `: ${message}` : ''} ${EXCEPTION_VERBS[kind]} at ${location} in ${where}`;
+  }
+  switch (step.event) {
+    case 'return':
+      return `returning from ${where} at ${location}`;
+    case 'exception':
+      return `exception at ${location} in ${where}`;
+    case 'cutOff':
+      return `cut off at ${location} in ${where}`;
+    default:
+      return `${location} in ${where}`;
+  }
+};
+
+// currentStep is a step number; the scrubber moves over the steps the tracer
+// kept, so a run of elided steps is a single position
+function Timeline({ steps, currentStep, onStepChange, allTraceData, entry, onInspect }) {
+  const [playing, setPlaying] = useState(false);
+  const lastStep = steps.length - 1;
+  const step = currentStep === null ? -1 : getIndexAtStep(steps, currentStep);
+  const stepCount = steps.length > 0 ? steps[lastStep].step + 1 : 0;
+
+  // Advance one step per tick; stop at the end instead of wrapping around
+  useEffect(() => {
+    if (!playing) return;
+    const timer = setTimeout(() => {
+      if (step >= lastStep) {
+        setPlaying(false);
+      } else {
+        onStepChange(steps[step + 1].step);
+      }
+    }, PLAYBACK_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [playing, step, lastStep, steps, onStepChange]);
+
+  const togglePlay = () => {
+    if (!playing && step >= lastStep) {
+      onStepChange(steps[0].step);
+    }
+    setPlaying(!playing);
+  };
+
+  const goTo = (target) => {
+    setPlaying(false);
+    onStepChange(steps[Math.min(lastStep, Math.max(0, target))].step);
+  };
+
+  const current = step >= 0 ? steps[step] : null;
+  // Tick marks on the scrubber wherever an exception was raised, passed or caught
+  const exceptionSteps = steps.flatMap((s, i) => (s.exception ? [i] : []));
+  const changedVars = new Set(current ? current.changes.map((c) => c.var) : []);
+  const variableRows = current
+    ? Object.entries(allTraceData)
+      .map(([scopedVar, traces]) => [scopedVar, getEntryAtStep(traces, currentStep)])
+      .filter(([, entry]) => entry)
+    : [];
+
+  return (
+    <div className="timeline-panel">
+      <div className="timeline-controls">
+        <button onClick={() => goTo(0)} disabled={step <= 0} title="First step">⏮</button>
+        <button onClick={() => goTo(step - 1)} disabled={step <= 0} title="Step back">◀</button>
+        <button onClick={togglePlay} title={playing ? 'Pause' : 'Play'}>
+          {playing ? '⏸' : '▶'}
+        </button>
+        <button onClick={() => goTo(step + 1)} disabled={step >= lastStep} title="Step forward">▶▶</button>
+        <button onClick={() => goTo(lastStep)} disabled={step >= lastStep} title="Last step">⏭</button>
+        <input
+          type="range"
+          className="timeline-scrubber"
+          min={0}
+          max={lastStep}
+          value={Math.max(step, 0)}
+          onChange={(e) => goTo(Number(e.target.value))}
+          list="timeline-exceptions"
+        />
+        <datalist id="timeline-exceptions">
+          {exceptionSteps.map((s) => <option key={s} value={s} />)}
+        </datalist>
+        <span className="timeline-position">
+          {current ? `Step ${currentStep + 1} / ${stepCount}` : `${stepCount} steps`}
+        </span>
+      </div>
+
+      {current ? (
+        <div className="timeline-state">
+          <div className={current.exception ? 'timeline-caption timeline-exception' : 'timeline-caption'}>
+            {describeStep(current, entry)}
+          </div>
+          <table>
+            <tbody>
+              {variableRows.map(([scopedVar, traceEntry]) => (
+                <tr
+                  key={scopedVar}
+                  className={changedVars.has(scopedVar) ? 'timeline-changed' : ''}
+                  onClick={() => onInspect(scopedVar, traceEntry)}
+                  title="Inspect this value"
+                >
+                  <td>{getDisplayName(scopedVar, allTraceData)}</td>
+                  <td>{traceEntry.value}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="timeline-caption">Press play or drag the scrubber to replay the run</div>
+      )}
+    </div>
+  );
+}
+
+export default Timeline;
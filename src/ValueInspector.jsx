@@ -0,0 +1,96 @@
+import { useState } from 'react';
+
+// Levels of a value that are expanded when it is first shown
+const OPEN_DEPTH = 1;
+
+const describeNode = (node) => {
+  const facts = [node.type];
+  if (node.length !== undefined) facts.push(`length ${node.length}`);
+  if (node.id) facts.push(`id ${node.id}`);
+  return facts.join(' · ');
+};
+
+const nodeText = (node) => {
+  if (node.repr !== undefined) return node.repr;
+  if (node.cycle) return '↻ contains itself';
+  if (node.collapsed) return '…';
+  return '';
+};
+
+function ValueNode({ path, node, depth }) {
+  const [open, setOpen] = useState(depth < OPEN_DEPTH);
+  const expandable = Boolean(node.children && node.children.length > 0);
+
+  return (
+    <li>
+      <div className="inspector-row">
+        {expandable ? (
+          <button className="inspector-toggle" onClick={() => setOpen(!open)}>
+            {open ? '▾' : '▸'}
+          </button>
+        ) : (
+          <span className="inspector-toggle" />
+        )}
+        {path && <span className="inspector-path">{path}</span>}
+        <span className="inspector-text">{nodeText(node)}</span>
+        <span className="inspector-type">{describeNode(node)}</span>
+      </div>
+      {expandable && open && (
+        <ul>
+          {node.children.map((child, i) => (
+            <ValueNode key={i} path={child.path} node={child.value} depth={depth + 1} />
+          ))}
+          {node.more > 0 && <li className="inspector-more">… {node.more} more</li>}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+// A traced value in full: a tree of its parts (from the tracer's `detail`)
+// and the repr that the flowchart labels cut short. The tracer itself
+// shortens very long reprs (`cutShort`) and, once a trace holds many trees,
+// keeps only the root of the rest (`collapsed`)
+function ValueInspector({ name, entry, location, onClose }) {
+  const [copyState, setCopyState] = useState(null);
+  const detail = entry.detail;
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(entry.value);
+      setCopyState('Copied');
+    } catch {
+      setCopyState('Copy failed');
+    }
+  };
+
+  return (
+    <div className="value-inspector">
+      <div className="inspector-header">
+        <strong>{name}</strong>
+        <span className="inspector-type">
+          {detail ? describeNode(detail) : ''} — {location}, step {entry.step + 1}
+        </span>
+        <button onClick={copy} title="Copy the full value">{copyState || 'Copy'}</button>
+        <button onClick={onClose} title="Close">×</button>
+      </div>
+      {detail && detail.children && (
+        <ul className="inspector-tree">
+          {detail.children.map((child, i) => (
+            <ValueNode key={i} path={child.path} node={child.value} depth={0} />
+          ))}
+          {detail.more > 0 && <li className="inspector-more">… {detail.more} more</li>}
+        </ul>
+      )}
+      {detail && detail.collapsed && (
+        <p className="inspector-note">Its parts weren't kept, to keep this big trace small</p>
+      )}
+      <pre className="inspector-full">{entry.value}</pre>
+      {entry.cutShort && (
+        <p className="inspector-note">Shortened by the tracer; very long values are not kept in full</p>
+      )}
+    </div>
+  );
+}
+
+export default ValueInspector;
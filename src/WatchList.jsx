@@ -0,0 +1,43 @@
+import { useState } from 'react';
+
+// Python expressions to trace alongside the variables on the next run
+function WatchList({ watches, onChange, disabled }) {
+  const [expression, setExpression] = useState('');
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const expr = expression.trim();
+    if (expr && !watches.includes(expr)) {
+      onChange([...watches, expr]);
+    }
+    setExpression('');
+  };
+
+  return (
+    <div className="watch-list">
+      <form onSubmit={handleAdd}>
+        <input
+          value={expression}
+          onChange={(e) => setExpression(e.target.value)}
+          placeholder="Add a watch, e.g. len(stack) or total / count"
+          spellCheck={false}
+          disabled={disabled}
+        />
+      </form>
+      {watches.map((expr) => (
+        <span key={expr} className="watch-chip">
+          <code>{expr}</code>
+          <button
+            onClick={() => onChange(watches.filter((w) => w !== expr))}
+            disabled={disabled}
+            title="Remove watch"
+          >
+            ×
+          </button>
+        </span>
+      ))}
+    </div>
+  );
+}
+
+export default WatchList;
@@ -0,0 +1,108 @@
+// Turns Mermaid definitions into standalone files for slides and course notes:
+// SVG, PNG at a chosen scale, raw Mermaid text, or one HTML document holding
+// a diagram per variable.
+import mermaid from 'mermaid';
+
+// Matches the dark theme the panel renders with, so light label text stays readable
+const BACKGROUND = '#1e293b';
+
+// The panel's HTML labels live in <foreignObject>, which most slide tools
+// drop and which taints the canvas used for PNG conversion, so exports are
+// rendered again with plain SVG text labels
+const EXPORT_DIRECTIVE = '%%{init: {"htmlLabels": false, "flowchart": {"htmlLabels": false}}}%%\n';
+
+// How long a download link's object URL stays valid; revoking it right after
+// the click can cancel the download (Firefox, for larger files)
+const REVOKE_DELAY_MS = 60000;
+
+let exportId = 0;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// 'outer.inner::d['a']' -> 'outer.inner-d-a-', safe on every file system
+export const toFileName = (name) => name.replace(/[^\w.-]+/g, '-');
+
+export function downloadBlob(fileName, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
+
+// Renders a definition to an SVG string with explicit pixel dimensions and a
+// background, so it looks the same outside the app
+export async function renderStandaloneSvg(definition) {
+  exportId += 1;
+  const { svg } = await mermaid.render(`export-diagram-${exportId}`, EXPORT_DIRECTIVE + definition);
+
+  const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+  const root = doc.documentElement;
+  root.querySelectorAll('.node rect, .label-container').forEach((rect) => {
+    rect.setAttribute('rx', '10');
+    rect.setAttribute('ry', '10');
+  });
+
+  const [, , width, height] = root.getAttribute('viewBox').split(/[\s,]+/).map(Number);
+  root.setAttribute('width', String(width));
+  root.setAttribute('height', String(height));
+  root.setAttribute('style', `background-color: ${BACKGROUND}`);
+
+  return { svg: new XMLSerializer().serializeToString(root), width, height };
+}
+
+export async function svgToPng({ svg, width, height }, scale) {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(width * scale);
+    canvas.height = Math.ceil(height * scale);
+    const context = canvas.getContext('2d');
+    context.fillStyle = BACKGROUND;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return await new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('PNG conversion failed'))), 'image/png');
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// One self-contained HTML page: the program, then a titled diagram per section
+export function buildDiagramDocument(title, source, sections) {
+  const body = sections.map(({ heading, svg }) => `
+  <section>
+    <h2>${escapeHtml(heading)}</h2>
+    ${svg}
+  </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { background: #0f172a; color: #e2e8f0; font-family: system-ui, sans-serif; margin: 2rem; }
+    pre { background: ${BACKGROUND}; padding: 1rem; border-radius: 6px; overflow-x: auto; }
+    section { margin: 2.5rem 0; }
+    section svg { max-width: 100%; height: auto; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <pre><code>${escapeHtml(source)}</code></pre>${body}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,178 @@
+// Saving and loading recorded traces, so a run can be browsed later without
+// executing anything (pre-recorded examples, traces attached to bug reports).
+//
+// A session file is JSON with this shape (version 1):
+//   {
+//     format: 'glassbox-trace',
+//     version: 1,
+//     createdAt: ISO 8601 timestamp,
+//     language: 'python',
+//     entry: string,               file name of the traced program, e.g. 'main.py'
+//     source: string,              its source
+//     files: { path: string },     the other project files it can import
+//     stdin: string,               Program Input fed to input()
+//     watches: [string],           watch expressions the run evaluated
+//     stdout: string,              everything the program printed
+//     errorMessage: string | null, the uncaught error's traceback, if any
+//     error: { type, message, frames, text, ... } | null, the same error in parts
+//     cutOff: { reason, line, message } | null,
+//     traceData: { 'scope::name': [{ line, function, value, step, ... }] },
+//                                  an entry with `elided: n` stands for n dropped changes
+//     watchData: { 'scope::expression': [...] }, same entries as traceData
+//     steps: [{ step, event, line, function, frame, changes }],
+//                                  changes: [{ var }], the keys whose entry has this step;
+//                                  a step with `elided: n` stands for steps step to step + n - 1
+//     calls: [{ id, function, invocation, args, ... }],
+//     heapSnapshots: [{ step, frames, heap }],
+//     heapLimitReached: boolean,
+//     scopeInfo: { lineToScope, scopeToLocals, ... },
+//     coverage: { lines, executableLines, functions }
+//   }
+// Everything under traceData, watchData, steps, calls, heapSnapshots, scopeInfo and coverage is
+// exactly what tracer.js resolves with, so new tracer fields survive a round
+// trip without changing this module. Bump SESSION_VERSION when an existing
+// field changes meaning.
+
+export const SESSION_FORMAT = 'glassbox-trace';
+export const SESSION_VERSION = 1;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const fail = (reason) => {
+  throw new Error(`Not a valid trace session: ${reason}`);
+};
+
+const expect = (condition, reason) => {
+  if (!condition) fail(reason);
+};
+
+const validateTraceData = (traceData, field = 'traceData') => {
+  expect(isObject(traceData), `${field} must be an object`);
+  for (const [scopedVar, entries] of Object.entries(traceData)) {
+    expect(scopedVar.includes('::'), `${field} key '${scopedVar}' is not of the form 'scope::name'`);
+    expect(Array.isArray(entries), `${field}['${scopedVar}'] must be an array`);
+    entries.forEach((entry, i) => {
+      const where = `${field}['${scopedVar}'][${i}]`;
+      expect(isObject(entry), `${where} must be an object`);
+      expect(Number.isInteger(entry.line), `${where}.line must be an integer`);
+      expect(Number.isInteger(entry.step), `${where}.step must be an integer`);
+      expect(typeof entry.value === 'string', `${where}.value must be a string`);
+    });
+  }
+};
+
+const validateSteps = (steps) => {
+  expect(Array.isArray(steps), 'steps must be an array');
+  steps.forEach((step, i) => {
+    expect(isObject(step), `steps[${i}] must be an object`);
+    expect(Number.isInteger(step.line), `steps[${i}].line must be an integer`);
+    expect(Array.isArray(step.changes), `steps[${i}].changes must be an array`);
+  });
+};
+
+const validateScopeInfo = (scopeInfo) => {
+  expect(isObject(scopeInfo), 'scopeInfo must be an object');
+  expect(isObject(scopeInfo.lineToScope), 'scopeInfo.lineToScope must be an object');
+  expect(isObject(scopeInfo.scopeToLocals), 'scopeInfo.scopeToLocals must be an object');
+};
+
+export function createSession({
+  source, entry = 'main.py', files = {}, stdin = '', watches = [], stdout = '', errorMessage = null, error = null,
+  cutOff = null,
+  traceData, watchData = {}, steps = [], calls = [], heapSnapshots = [], heapLimitReached = false, scopeInfo,
+  coverage = { lines: {}, executableLines: {}, functions: {} }
+}) {
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    createdAt: new Date().toISOString(),
+    language: 'python',
+    entry,
+    source,
+    files,
+    stdin,
+    watches,
+    stdout,
+    errorMessage,
+    error,
+    cutOff,
+    traceData,
+    watchData,
+    steps,
+    calls,
+    heapSnapshots,
+    heapLimitReached,
+    scopeInfo,
+    coverage
+  };
+}
+
+export function serializeSession(session) {
+  return JSON.stringify(session, null, 2);
+}
+
+// Parses and validates a session file, filling in defaults for optional
+// fields. Throws an Error describing the first problem found.
+export function parseSession(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    fail(`invalid JSON (${err.message})`);
+  }
+
+  expect(isObject(data), 'expected a JSON object');
+  expect(data.format === SESSION_FORMAT, `format must be '${SESSION_FORMAT}'`);
+  expect(Number.isInteger(data.version), 'version must be an integer');
+  expect(
+    data.version <= SESSION_VERSION,
+    `version ${data.version} was written by a newer GlassBox (this one reads up to ${SESSION_VERSION})`
+  );
+
+  expect(typeof data.source === 'string', 'source must be a string');
+  expect(data.entry === undefined || typeof data.entry === 'string', 'entry must be a string');
+  expect(
+    data.files === undefined
+      || (isObject(data.files) && Object.values(data.files).every((text) => typeof text === 'string')),
+    'files must map file names to source strings'
+  );
+  expect(typeof data.stdout === 'string', 'stdout must be a string');
+  expect(
+    data.errorMessage == null || typeof data.errorMessage === 'string',
+    'errorMessage must be a string or null'
+  );
+  expect(data.error == null || isObject(data.error), 'error must be an object or null');
+  expect(data.cutOff == null || isObject(data.cutOff), 'cutOff must be an object or null');
+  validateTraceData(data.traceData);
+  if (data.watchData !== undefined) validateTraceData(data.watchData, 'watchData');
+  expect(
+    data.watches === undefined
+      || (Array.isArray(data.watches) && data.watches.every((expr) => typeof expr === 'string')),
+    'watches must be a list of strings'
+  );
+  validateScopeInfo(data.scopeInfo);
+  if (data.steps !== undefined) validateSteps(data.steps);
+  expect(data.calls === undefined || Array.isArray(data.calls), 'calls must be an array');
+  expect(
+    data.heapSnapshots === undefined || Array.isArray(data.heapSnapshots),
+    'heapSnapshots must be an array'
+  );
+  expect(data.coverage === undefined || isObject(data.coverage), 'coverage must be an object');
+
+  return {
+    ...data,
+    entry: data.entry ?? 'main.py',
+    files: data.files ?? {},
+    stdin: typeof data.stdin === 'string' ? data.stdin : '',
+    watches: data.watches ?? [],
+    watchData: data.watchData ?? {},
+    errorMessage: data.errorMessage ?? null,
+    error: data.error ?? null,
+    cutOff: data.cutOff ?? null,
+    steps: data.steps ?? [],
+    calls: data.calls ?? [],
+    heapSnapshots: data.heapSnapshots ?? [],
+    heapLimitReached: Boolean(data.heapLimitReached),
+    coverage: { lines: {}, executableLines: {}, functions: {}, ...data.coverage }
+  };
+}
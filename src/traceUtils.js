@@ -0,0 +1,310 @@
+// Helpers for working with scoped variable keys ('scope::name') and the
+// per-variable histories returned by the tracer. The name part may be a
+// sub-path such as 'obj.count' or "d['a']". Scopes outside the entry file
+// are qualified with their file: 'helpers.py:global', 'helpers.py:add'.
+
+export const getDisplayName = (scopedVar, allTraceData) => {
+  if (!scopedVar) return '';
+  if (!scopedVar.includes('::')) return scopedVar;
+  const scope = getScope(scopedVar);
+  const varName = getRawVarName(scopedVar);
+  
+  if (scope !== 'global') {
+    return `${varName} (${isModuleScope(scope) ? getScopeFile(scope) : scope})`;
+  }
+  
+  const hasLocalWithSameName = Object.keys(allTraceData).some((key) => {
+    return getScope(key) !== 'global' && getRawVarName(key) === varName;
+  });
+  
+  if (hasLocalWithSameName) {
+    return `${varName} (global)`;
+  }
+  
+  return varName;
+};
+
+// Split on the first '::' only, since dict keys in a sub-path may contain it
+export const getRawVarName = (scopedVar) => {
+  if (!scopedVar) return '';
+  const separator = scopedVar.indexOf('::');
+  return separator === -1 ? scopedVar : scopedVar.slice(separator + 2);
+};
+
+export const getScope = (scopedVar) => {
+  if (!scopedVar) return '';
+  const separator = scopedVar.indexOf('::');
+  return separator === -1 ? scopedVar : scopedVar.slice(0, separator);
+};
+
+// Module level of the entry file ('global') or of another file ('helpers.py:global')
+export const isModuleScope = (scope) => scope === 'global' || scope.endsWith(':global');
+
+// 'helpers.py:add' -> 'helpers.py'; null for scopes in the entry file
+export const getScopeFile = (scope) => {
+  const separator = scope.indexOf(':');
+  return separator === -1 ? null : scope.slice(0, separator);
+};
+
+// Human-readable scope: 'module level', 'module level of helpers.py', 'outer.inner'
+export const formatScopeName = (scope) => {
+  if (scope === 'global') return 'module level';
+  if (isModuleScope(scope)) return `module level of ${getScopeFile(scope)}`;
+  return scope;
+};
+
+// 'line 4' in the entry file, 'helpers.py:4' anywhere else
+export const formatLocation = (file, line, entry) => {
+  return file && file !== entry ? `${file}:${line}` : `line ${line}`;
+};
+
+// The variable a sub-path hangs off: 'obj.count' -> 'obj', "d['a']" -> 'd'
+export const getBaseVarName = (scopedVar) => {
+  return getRawVarName(scopedVar).split(/[.[]/)[0];
+};
+
+// Analyzer output for one file of the project; traces recorded before
+// multi-file support only describe the entry file
+export const getFileScopeInfo = (scopeInfo, file) => {
+  return (scopeInfo.files || {})[file] || scopeInfo;
+};
+
+// The scope that owns `name` when it is referenced from `scope`, using the
+// file's scopeInfo: the scope's own locals, then the enclosing function a
+// closure variable belongs to, else module level
+export const resolveScope = (name, scope, scopeInfo) => {
+  const moduleScope = scopeInfo.moduleScope || 'global';
+  if (scope === moduleScope) return moduleScope;
+  const locals = scopeInfo.scopeToLocals[scope] || [];
+  if (locals.includes(name)) return scope;
+  const owners = (scopeInfo.freeVarOwners || {})[scope] || {};
+  return owners[name] || moduleScope;
+};
+
+// Every scope code on a line can run in: the innermost def/class plus any
+// lambda or generator expression written on that line
+export const getScopesOnLine = (lineNum, scopeInfo) => {
+  const { lineToScope, scopeRanges = {}, scopeKinds = {} } = scopeInfo;
+  const inlineScopes = Object.keys(scopeRanges).filter((scope) => {
+    const [start, end] = scopeRanges[scope];
+    const kind = scopeKinds[scope];
+    return (kind === 'lambda' || kind === 'genexpr') && start <= lineNum && lineNum <= end;
+  });
+  return [lineToScope[String(lineNum)] || scopeInfo.moduleScope || 'global', ...inlineScopes];
+};
+
+// Trace keys in first-seen order, but with each sub-path listed right after
+// the variable it belongs to
+export const orderVarKeys = (allTraceData) => {
+  const keys = Object.keys(allTraceData);
+  const baseKeys = keys.filter((key) => getBaseVarName(key) === getRawVarName(key));
+  const ordered = [];
+  baseKeys.forEach((baseKey) => {
+    ordered.push(baseKey);
+    keys.forEach((key) => {
+      if (key !== baseKey && `${getScope(key)}::${getBaseVarName(key)}` === baseKey) {
+        ordered.push(key);
+      }
+    });
+  });
+  keys.forEach((key) => {
+    if (!ordered.includes(key)) ordered.push(key);
+  });
+  return ordered;
+};
+
+// 'index 3: 4 → 9', "key 'a' added: 1", 'attr count: 1 → 2'
+export const formatDiff = (entry) => {
+  if (entry.op === 'more') return `… ${entry.count} more changes`;
+
+  let target;
+  if (entry.kind === 'attr') {
+    target = `attr ${entry.path.slice(1)}`;
+  } else if (entry.kind === 'item') {
+    target = `item ${entry.path}`;
+  } else {
+    target = `${entry.kind} ${entry.path.slice(1, -1)}`;
+  }
+
+  switch (entry.op) {
+    case 'added':
+      return entry.kind === 'item' ? `${target} added` : `${target} added: ${entry.new}`;
+    case 'removed':
+      return entry.kind === 'item' ? `${target} removed` : `${target} removed (was ${entry.old})`;
+    default:
+      return `${target}: ${entry.old} → ${entry.new}`;
+  }
+};
+
+// Index of the history entry in effect at `step`, or -1 if not assigned yet.
+// Histories are in step order, so binary search for the last entry <= step.
+// Also finds the step itself in a trace's steps, whose elided ones are
+// represented by the marker before them.
+export const getIndexAtStep = (traces, step) => {
+  let lo = 0;
+  let hi = traces.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (traces[mid].step <= step) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+};
+
+// History entry in effect at `step`, or undefined if not assigned yet
+export const getEntryAtStep = (traces, step) => traces[getIndexAtStep(traces, step)];
+
+// Cuts a value's text to maxLength characters, ending in '…' if it was longer
+export const shortenValue = (value, maxLength) => {
+  const text = String(value);
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
+
+// Line -> '# total = 10 (×5)' for every line of `file` that changed a
+// variable: the value each variable was last given there, and how often
+// that line changed it. lineToVarMap lists the variables per line.
+export const buildLineHints = (traceData, lineToVarMap, file, entryFile, maxValueLength) => {
+  const hints = {};
+  for (const [line, scopedVars] of Object.entries(lineToVarMap)) {
+    const parts = scopedVars.map((scopedVar) => {
+      const onLine = traceData[scopedVar].filter((trace) => (
+        !trace.elided && trace.line === Number(line) && (trace.file || entryFile) === file
+      ));
+      if (onLine.length === 0) return null;
+      const times = onLine.length > 1 ? ` (×${onLine.length})` : '';
+      return `${getRawVarName(scopedVar)} = ${shortenValue(onLine[onLine.length - 1].value, maxValueLength)}${times}`;
+    }).filter(Boolean);
+    if (parts.length > 0) {
+      hints[line] = `# ${parts.join(', ')}`;
+    }
+  }
+  return hints;
+};
+
+// 'fib(n=3)' style signature for a recorded call
+export const formatCall = (call) => {
+  const args = Object.entries(call.args).map(([name, value]) => `${name}=${value}`);
+  return `${call.function}(${args.join(', ')})`;
+};
+
+export const formatCallResult = (call) => {
+  if (call.raised) return 'raised an exception';
+  if (call.returnStep === null) return 'did not return';
+  return `→ ${call.returnValue}`;
+};
+
+// Whether a variable is used on the line an uncaught error was raised at:
+// its name appears in that line's code and, seen from the scope the line ran
+// in, resolves to the variable's own scope
+export const isInvolvedInError = (scopedVar, error, scopeInfo) => {
+  const frame = error.frames && error.frames[error.frames.length - 1];
+  if (!frame) return false;
+  const name = getBaseVarName(scopedVar);
+  const identifiers = frame.code.match(/[A-Za-z_]\w*/g) || [];
+  if (!identifiers.includes(name)) return false;
+  return resolveScope(name, frame.function, getFileScopeInfo(scopeInfo, frame.file)) === getScope(scopedVar);
+};
+
+// A data-flow node that stands for what a function returned: 'outer.inner()'
+export const isReturnNode = (node) => node.endsWith('()');
+
+// The def-use relations the analyzer found whose line ran and whose ends
+// were recorded: a traced variable, or a function that returned normally.
+// A call the analyzer couldn't resolve ('()') stands for the functions the
+// calls recorded on that line ran, if they return a value. One edge per pair
+// of nodes, at the first line that links them, with how often those lines ran.
+export const collectDataFlow = (scopeInfo, allTraceData, calls, coverage, entry) => {
+  const fileScopeInfos = Object.entries(scopeInfo.files || { [entry]: scopeInfo });
+  const returnsValue = new Set(
+    fileScopeInfos.flatMap(([, fileScopeInfo]) => (fileScopeInfo.dataFlow || []).map(({ to }) => to))
+  );
+  const returned = new Set();
+  const calledFrom = {};
+  calls.forEach((call) => {
+    if (call.returnStep === null || call.raised) return;
+    const node = `${call.invocation.split('#')[0]}()`;
+    returned.add(node);
+    const site = `${call.callerFile}:${call.callerLine}`;
+    if (returnsValue.has(node)) {
+      calledFrom[site] = [...new Set([...(calledFrom[site] || []), node])];
+    }
+  });
+  const wasRecorded = (node) => (isReturnNode(node) ? returned.has(node) : node in allTraceData);
+
+  const edges = new Map();
+  fileScopeInfos.forEach(([file, fileScopeInfo]) => {
+    const counts = coverage.lines[file] || {};
+    (fileScopeInfo.dataFlow || []).forEach(({ line, from, to }) => {
+      const count = counts[line] || 0;
+      const sources = from === '()' ? calledFrom[`${file}:${line}`] || [] : [from];
+      sources.forEach((source) => {
+        if (count === 0 || !wasRecorded(source) || !wasRecorded(to)) return;
+        const key = `${source}\n${to}`;
+        if (edges.has(key)) {
+          edges.get(key).count += count;
+        } else {
+          edges.set(key, { from: source, to, file, line, count });
+        }
+      });
+    });
+  });
+  return [...edges.values()];
+};
+
+// How often each edge and block of a control-flow graph was taken, replayed
+// from the line events of every call of `scope`. A jump with no edge of its
+// own, such as a with statement's header running again as the block exits,
+// leaves the path where it was; after an exception the jump into a handler
+// is credited to the try's 'except' edge. Steps the tracer elided from a
+// long run aren't counted.
+export const collectControlFlowHits = (graph, steps, file, scope) => {
+  const edgeHits = graph.edges.map(() => 0);
+  const blockHits = graph.blocks.map(() => 0);
+  const lineToBlock = {};
+  graph.blocks.forEach(({ id, start, end }) => {
+    for (let line = start; start !== null && line <= end; line++) {
+      lineToBlock[line] = id;
+    }
+  });
+  const entryBlock = graph.blocks.find((block) => block.kind === 'entry').id;
+  const exitBlock = graph.blocks.find((block) => block.kind === 'exit').id;
+
+  const take = (from, to, label) => {
+    const index = graph.edges.findIndex((edge) => edge.from === from && edge.to === to
+      && (label === undefined || edge.label === label));
+    if (index === -1) return false;
+    edgeHits[index] += 1;
+    blockHits[to] += 1;
+    return true;
+  };
+
+  // frame number -> { block, raised }
+  const frames = {};
+  steps.forEach((step) => {
+    if (step.elided || step.file !== file || step.function !== scope) return;
+    if (!frames[step.frame]) {
+      frames[step.frame] = { block: entryBlock, raised: false };
+      blockHits[entryBlock] += 1;
+    }
+    const frame = frames[step.frame];
+    if (step.event === 'exception') {
+      frame.raised = true;
+    } else if (step.event === 'return') {
+      take(frame.block, exitBlock);
+    } else if (step.event === 'line') {
+      const block = lineToBlock[step.line];
+      if (block === undefined || block === frame.block) return;
+      const handler = frame.raised && graph.edges.find((edge) => edge.to === block && edge.label === 'except');
+      if (handler ? take(handler.from, block, 'except') : take(frame.block, block)) {
+        frame.block = block;
+      }
+      frame.raised = false;
+    }
+  });
+  return { edgeHits, blockHits };
+};
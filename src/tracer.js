@@ -1,301 +1,279 @@
-const TRACER_CODE = `
-import sys
-import json
-import traceback
-import ast
+// Main-thread side of the tracer. Pyodide runs in tracer.worker.js and the
+// Python tracing code lives in tracerCore.js; this module owns the worker and
+// enforces execution limits. node/index.js is the Node counterpart and reuses
+// the result helpers exported here.
+//
+// Message protocol (every message carries the `id` of the run it belongs to):
+//   main -> worker  { type: 'run', id, code, files, entry, stdin, limits: { timeoutMs, maxEvents },
+//                     breakpoints, watches, interruptBuffer, controlBuffer }
+//   worker -> main  { type: 'started', id }            user code is about to execute
+//                   { type: 'stdout', id, text }       streamed program output
+//                   { type: 'paused', id, state }      stopped at a breakpoint or step
+//                   { type: 'result', id, result }     parsed run_with_trace() payload
+//                   { type: 'failure', id, message }   the worker itself failed
+//
+// Stopping writes SIGINT into `interruptBuffer` (a SharedArrayBuffer, only
+// available when the page is cross-origin isolated) so Python raises
+// KeyboardInterrupt and still returns the partial trace. If that doesn't
+// work within STOP_GRACE_MS, or there is no buffer, the worker is terminated
+// and only the output streamed so far survives.
+//
+// A paused worker blocks in Atomics.wait on `controlBuffer` until
+// resumeExecution() stores a command there (see RESUME_COMMANDS in
+// tracerCore.js). Breakpoints need that buffer too, so like Stop they only
+// work when the page is cross-origin isolated. The clock is stopped while
+// paused.
 
-trace_data = {}
-prev_vars = {}
-frame_prev_line = {}
-error_message = None
-scope_info = {'lineToScope': {}, 'scopeToLocals': {}}
+import { RESUME_COMMANDS } from './tracerCore.js';
 
-class ScopeAnalyzer(ast.NodeVisitor):
-    def __init__(self, source_lines):
-        self.source_lines = source_lines
-        self.line_to_scope = {}
-        self.scope_to_locals = {'global': set()}
-        self.scope_ranges = {}  # scope_name -> (start_line, end_line)
-        
-    def visit_FunctionDef(self, node):
-        func_name = node.name
-        parent_scope = 'global'  # simplified; doesn't handle nested functions perfectly
-        
-        # Add function name to parent scope
-        self.scope_to_locals[parent_scope].add(func_name)
-        
-        # Initialize this function's scope
-        self.scope_to_locals[func_name] = set()
-        
-        # Record the line range for this function
-        start_line = node.lineno
-        end_line = node.end_lineno if hasattr(node, 'end_lineno') else start_line
-        self.scope_ranges[func_name] = (start_line, end_line)
-        
-        # Mark all lines in this function
-        for line in range(start_line, end_line + 1):
-            self.line_to_scope[line] = func_name
-        
-        # Collect local variables
-        self.collect_locals(node, func_name)
-        
-        # Visit nested functions
-        for child in ast.iter_child_nodes(node):
-            if isinstance(child, ast.FunctionDef):
-                self.visit_FunctionDef(child)
-    
-    def collect_locals(self, func_node, scope_name):
-        # Parameters
-        for arg in func_node.args.args:
-            self.scope_to_locals[scope_name].add(arg.arg)
-        if func_node.args.vararg:
-            self.scope_to_locals[scope_name].add(func_node.args.vararg.arg)
-        if func_node.args.kwarg:
-            self.scope_to_locals[scope_name].add(func_node.args.kwarg.arg)
-        
-        # Find global declarations first
-        global_vars = set()
-        for node in ast.walk(func_node):
-            if isinstance(node, ast.Global):
-                for name in node.names:
-                    global_vars.add(name)
-        
-        # Walk through and find assignments
-        for node in ast.walk(func_node):
-            # Skip nested function definitions
-            if isinstance(node, ast.FunctionDef) and node is not func_node:
-                continue
-                
-            var_name = None
-            
-            if isinstance(node, ast.Assign):
-                for target in node.targets:
-                    if isinstance(target, ast.Name):
-                        var_name = target.id
-            elif isinstance(node, ast.AugAssign):
-                if isinstance(node.target, ast.Name):
-                    var_name = node.target.id
-            elif isinstance(node, ast.For):
-                if isinstance(node.target, ast.Name):
-                    var_name = node.target.id
-            elif isinstance(node, ast.NamedExpr):
-                if isinstance(node.target, ast.Name):
-                    var_name = node.target.id
-            
-            if var_name and var_name not in global_vars:
-                self.scope_to_locals[scope_name].add(var_name)
-    
-    def analyze(self, tree):
-        total_lines = len(self.source_lines)
-        
-        # Default all lines to global
-        for i in range(1, total_lines + 2):
-            self.line_to_scope[i] = 'global'
-        
-        # Process global-level nodes
-        for node in ast.iter_child_nodes(tree):
-            if isinstance(node, ast.FunctionDef):
-                self.visit_FunctionDef(node)
-            elif isinstance(node, ast.Assign):
-                for target in node.targets:
-                    if isinstance(target, ast.Name):
-                        self.scope_to_locals['global'].add(target.id)
-            elif isinstance(node, ast.AugAssign):
-                if isinstance(node.target, ast.Name):
-                    self.scope_to_locals['global'].add(node.target.id)
-            elif isinstance(node, ast.For):
-                if isinstance(node.target, ast.Name):
-                    self.scope_to_locals['global'].add(node.target.id)
-        
-        return {
-            'lineToScope': {str(k): v for k, v in self.line_to_scope.items()},
-            'scopeToLocals': {k: list(v) for k, v in self.scope_to_locals.items()}
-        }
+export const DEFAULT_LIMITS = { timeoutMs: 5000, maxEvents: 100000 };
+export const DEFAULT_ENTRY = 'main.py';
+// Per-file line hit counts, per-file executable lines and per-function call counts
+export const EMPTY_COVERAGE = { lines: {}, executableLines: {}, functions: {} };
 
-def analyze_scopes(code):
-    try:
-        tree = ast.parse(code)
-        source_lines = code.split('\\n')
-        analyzer = ScopeAnalyzer(source_lines)
-        return analyzer.analyze(tree)
-    except Exception as e:
-        return {'lineToScope': {}, 'scopeToLocals': {}, 'error': str(e)}
+export const STOP_GRACE_MS = 1000;
+export const SIGINT = 2;
 
-def is_user_var(name):
-    if name.startswith('_'):
-        return False
-    if name in (
-        'tracer', 'run_with_trace', 'trace_data', 'prev_vars',
-        'is_user_var', 'safe_repr', 'user_code', '__tracer_result__',
-        'json', 'sys', 'ast', 'traceback',
-        'get_func_name', 'is_function',
-        'capture_changes', 'frame_prev_line', 'error_message',
-        'scope_info', 'analyze_scopes', 'ScopeAnalyzer'
-    ):
-        return False
-    return True
+let worker = null;
+let activeRun = null;
+let nextRunId = 0;
 
-def is_function(val):
-    return callable(val) and not isinstance(val, type)
+const describeCutOff = (cutOff, limits, entry) => {
+  let where = cutOff.line ? ` at line ${cutOff.line}` : '';
+  if (where && cutOff.file && cutOff.file !== entry) {
+    where += ` of ${cutOff.file}`;
+  }
+  switch (cutOff.reason) {
+    case 'timeout':
+      return `time limit of ${limits.timeoutMs / 1000}s reached${where}`;
+    case 'maxEvents':
+      return `trace event limit of ${limits.maxEvents} reached${where}`;
+    default:
+      return `stopped by user${where}`;
+  }
+};
+
+// What the console panel shows: program output followed by any error or cut-off notice
+export const buildOutput = (printOutput, errorMessage, cutOff) => {
+  let finalOutput = printOutput;
+  if (errorMessage) {
+    finalOutput = finalOutput + (finalOutput ? '\n' : '') + '❌ ' + errorMessage;
+  }
+  if (cutOff) {
+    finalOutput = finalOutput + (finalOutput ? '\n' : '') + '⏹ Execution was cut off: ' + cutOff.message;
+  }
+  return finalOutput;
+};
 
-def safe_repr(val):
-    try:
-        return repr(val)
-    except:
-        return '<unrepresentable>'
+// What runAndTrace resolves with, built from the worker's run_with_trace()
+// payload and the run's { output, limits, entry, stopReason }
+export const buildRunResult = (result, run) => {
+  // A watchdog timeout surfaces in Python as a plain KeyboardInterrupt
+  let cutOff = result.cutOff;
+  if (cutOff && run.stopReason) {
+    cutOff = { ...cutOff, reason: run.stopReason };
+  }
+  if (cutOff) {
+    cutOff = { ...cutOff, message: describeCutOff(cutOff, run.limits, run.entry) };
+  }
 
-def get_func_name(frame):
-    name = frame.f_code.co_name
-    if name == '<module>':
-        return 'global'
-    return name
+  return {
+    output: buildOutput(run.output, result.errorMessage, cutOff),
+    stdout: run.output,
+    traceData: result.traceData,
+    watchData: result.watchData,
+    steps: result.steps,
+    calls: result.calls,
+    heapSnapshots: result.heapSnapshots,
+    heapLimitReached: result.heapLimitReached,
+    errorMessage: result.errorMessage,
+    error: result.error,
+    scopeInfo: result.scopeInfo,
+    coverage: result.coverage,
+    cutOff
+  };
+};
 
-def capture_changes(frame, line_no):
-    global prev_vars, trace_data
-    
-    try:
-        func_name = get_func_name(frame)
-        is_module_level = (func_name == 'global')
-        
-        local_names = set(frame.f_code.co_varnames) if not is_module_level else set()
-        
-        current_vars = {}
-        var_scopes = {}
-        
-        for k, v in list(frame.f_locals.items()):
-            if is_user_var(k) and not is_function(v):
-                if not is_module_level and k in local_names:
-                    scope = func_name
-                else:
-                    scope = 'global'
-                scoped_key = scope + '::' + k
-                current_vars[scoped_key] = safe_repr(v)
-                var_scopes[scoped_key] = scope
-        
-        for k, v in list(frame.f_globals.items()):
-            if is_user_var(k) and not is_function(v):
-                scoped_key = 'global::' + k
-                if scoped_key not in current_vars:
-                    current_vars[scoped_key] = safe_repr(v)
-                    var_scopes[scoped_key] = 'global'
-        
-        for scoped_key, v_repr in current_vars.items():
-            prev_repr = prev_vars.get(scoped_key)
-            
-            if prev_repr is None or prev_repr != v_repr:
-                scope = var_scopes[scoped_key]
-                
-                if scoped_key not in trace_data:
-                    trace_data[scoped_key] = []
-                trace_data[scoped_key].append({
-                    'line': line_no,
-                    'function': scope,
-                    'assignedIn': func_name,
-                    'value': v_repr
-                })
-                
-                prev_vars[scoped_key] = v_repr
-    except:
-        pass
+// Stand-in payload for a run whose worker had to be terminated
+export const killedRunPayload = (stopReason) => ({
+  traceData: {},
+  watchData: {},
+  steps: [],
+  calls: [],
+  heapSnapshots: [],
+  heapLimitReached: false,
+  errorMessage: null,
+  error: null,
+  scopeInfo: { lineToScope: {}, scopeToLocals: {} },
+  coverage: EMPTY_COVERAGE,
+  cutOff: { reason: stopReason, line: null }
+});
 
-def tracer(frame, event, arg):
-    global frame_prev_line
-    
-    try:
-        if frame.f_code.co_filename != '<string>':
-            return tracer
-        
-        frame_id = id(frame)
-        
-        if event == 'line':
-            if frame_id in frame_prev_line:
-                capture_changes(frame, frame_prev_line[frame_id])
-            frame_prev_line[frame_id] = frame.f_lineno
-        
-        elif event == 'return':
-            if frame_id in frame_prev_line:
-                capture_changes(frame, frame_prev_line[frame_id])
-                del frame_prev_line[frame_id]
-        
-        elif event == 'exception':
-            capture_changes(frame, frame.f_lineno)
-    except:
-        pass
-    
-    return tracer
+const finishRun = (result) => {
+  const run = activeRun;
+  activeRun = null;
+  clearTimeout(run.watchdog);
+  clearTimeout(run.killTimer);
+  run.resolve(buildRunResult(result, run));
+};
 
-def run_with_trace(code):
-    global trace_data, prev_vars, frame_prev_line, error_message, scope_info
-    trace_data = {}
-    prev_vars = {}
-    frame_prev_line = {}
-    error_message = None
-    
-    # Analyze scopes before running
-    scope_info = analyze_scopes(code)
+const failRun = (error) => {
+  const run = activeRun;
+  activeRun = null;
+  clearTimeout(run.watchdog);
+  clearTimeout(run.killTimer);
+  run.reject(error);
+};
 
-    sys.settrace(tracer)
-    try:
-        exec(code, {'__name__': '__main__', '__builtins__': __builtins__})
-    except Exception as e:
-        error_message = traceback.format_exc().splitlines()[-1]
-    finally:
-        sys.settrace(None)
-    
-    return json.dumps({
-        'traceData': trace_data,
-        'errorMessage': error_message,
-        'scopeInfo': scope_info
-    })
-`;
+const terminateWorker = () => {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+};
 
-let pyodideInstance = null;
+const handleWorkerMessage = (event) => {
+  const message = event.data;
+  if (!activeRun || message.id !== activeRun.id) return;
 
-const preprocessCode = (code) => {
-  let processedCode = code;
+  switch (message.type) {
+    case 'started':
+      // Python enforces timeoutMs itself; this only fires if the worker
+      // stops responding to the deadline (e.g. stuck outside traced code)
+      activeRun.watchdogBudget = activeRun.limits.timeoutMs + STOP_GRACE_MS;
+      startWatchdog();
+      break;
+    case 'paused':
+      clearTimeout(activeRun.watchdog);
+      activeRun.watchdogBudget -= Date.now() - activeRun.watchdogStart;
+      activeRun.paused = true;
+      if (activeRun.onPause) activeRun.onPause(message.state);
+      break;
+    case 'stdout':
+      activeRun.output += message.text;
+      if (activeRun.onOutput) activeRun.onOutput(message.text);
+      break;
+    case 'result':
+      finishRun(message.result);
+      break;
+    case 'failure':
+      failRun(new Error(message.message));
+      break;
+  }
+};
 
-  if (processedCode.includes('input(') && !processedCode.includes('import ast')) {
-    processedCode = 'import ast\n' + processedCode;
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('./tracer.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = handleWorkerMessage;
+    worker.onerror = (event) => {
+      terminateWorker();
+      if (activeRun) failRun(new Error(event.message || 'Tracer worker crashed'));
+    };
   }
+  return worker;
+};
 
-  processedCode = processedCode.replace(/\binput\s*\(\s*\)/g, 'ast.literal_eval(input())');
+const startWatchdog = () => {
+  activeRun.watchdogStart = Date.now();
+  activeRun.watchdog = setTimeout(() => requestStop('timeout'), activeRun.watchdogBudget);
+};
 
-  return processedCode;
+const sendCommand = (command) => {
+  const buffer = activeRun.controlBuffer;
+  activeRun.paused = false;
+  Atomics.store(buffer, 0, RESUME_COMMANDS.indexOf(command) + 1);
+  Atomics.notify(buffer, 0);
 };
 
-export async function runAndTrace(code) {
-  let printOutput = '';
+const killActiveRun = () => {
+  terminateWorker();
+  finishRun(killedRunPayload(activeRun.stopReason));
+};
 
-  const processedCode = preprocessCode(code);
+const requestStop = (reason) => {
+  if (!activeRun || activeRun.stopReason) return;
+  activeRun.stopReason = reason;
 
-  if (!pyodideInstance) {
-    const { loadPyodide } = await import('pyodide');
-    pyodideInstance = await loadPyodide();
+  // A paused worker can't see the interrupt, so tell it to stop instead
+  if (activeRun.paused) {
+    sendCommand('stop');
+    activeRun.killTimer = setTimeout(killActiveRun, STOP_GRACE_MS);
+  } else if (activeRun.interruptBuffer) {
+    Atomics.store(activeRun.interruptBuffer, 0, SIGINT);
+    activeRun.killTimer = setTimeout(killActiveRun, STOP_GRACE_MS);
+  } else {
+    killActiveRun();
   }
+};
 
-  pyodideInstance.setStdout({ batched: (text) => { printOutput += text + '\n'; } });
-  pyodideInstance.setStderr({ batched: (text) => { printOutput += 'Error: ' + text + '\n'; } });
-
-  await pyodideInstance.runPythonAsync(TRACER_CODE);
+export function stopExecution() {
+  requestStop('stopped');
+}
 
-  const wrappedCode = `
-user_code = ${JSON.stringify(processedCode)}
-__tracer_result__ = run_with_trace(user_code)
-__tracer_result__
-`;
+// Whether this page can pause at breakpoints (it needs SharedArrayBuffer)
+export const canPause = () => Boolean(globalThis.crossOriginIsolated);
 
-  const jsonString = await pyodideInstance.runPythonAsync(wrappedCode);
-  const parsed = JSON.parse(jsonString);
+// Continues a paused run: 'continue', 'over', 'into', 'out' or 'stop'
+export function resumeExecution(command) {
+  if (!activeRun || !activeRun.paused) return;
+  if (command === 'stop') {
+    stopExecution();
+    return;
+  }
+  sendCommand(command);
+  startWatchdog();
+}
 
-  let finalOutput = printOutput;
-  if (parsed.errorMessage) {
-    finalOutput = finalOutput + (finalOutput ? '\n' : '') + '❌ ' + parsed.errorMessage;
+// code is the entry file's source; files maps the project's other files to
+// their sources so the program can import them. breakpoints is a list of
+// { file, line, condition } (condition is Python, '' for always); the run
+// calls onPause(state) whenever it stops at one and waits for resumeExecution().
+// watches are Python expressions whose values are traced like variables.
+// With freshInterpreter the worker is replaced first, so the run gets a newly
+// loaded Python with no modules left over from earlier runs.
+export function runAndTrace(code, {
+  files = {}, entry = DEFAULT_ENTRY, stdin = '', timeoutMs, maxEvents, breakpoints = [], watches = [],
+  freshInterpreter = false, onOutput, onPause
+} = {}) {
+  if (activeRun) {
+    return Promise.reject(new Error('A trace is already running'));
   }
 
-  return {
-    output: finalOutput,
-    traceData: parsed.traceData,
-    errorMessage: parsed.errorMessage,
-    scopeInfo: parsed.scopeInfo
+  const limits = {
+    timeoutMs: timeoutMs || DEFAULT_LIMITS.timeoutMs,
+    maxEvents: maxEvents || DEFAULT_LIMITS.maxEvents
   };
+  const interruptBuffer = canPause() ? new Int32Array(new SharedArrayBuffer(4)) : null;
+  const controlBuffer = canPause() ? new Int32Array(new SharedArrayBuffer(4)) : null;
+
+  nextRunId += 1;
+  const id = nextRunId;
+  if (freshInterpreter) {
+    terminateWorker();
+  }
+
+  return new Promise((resolve, reject) => {
+    activeRun = {
+      id,
+      limits,
+      entry,
+      interruptBuffer,
+      controlBuffer,
+      onOutput,
+      onPause,
+      output: '',
+      stopReason: null,
+      paused: false,
+      watchdog: null,
+      watchdogStart: null,
+      watchdogBudget: null,
+      killTimer: null,
+      resolve,
+      reject
+    };
+    getWorker().postMessage({
+      type: 'run', id, code, files, entry, stdin, limits, breakpoints, watches, interruptBuffer, controlBuffer
+    });
+  });
 }
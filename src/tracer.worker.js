@@ -0,0 +1,50 @@
+// Runs the Pyodide tracer off the main thread so that runaway user code
+// (infinite loops, deep recursion) can't freeze the tab. The message
+// protocol is documented in tracer.js; the tracer itself is in tracerCore.js.
+import { runTracer } from './tracerCore';
+
+// Wheels for numpy, pandas and friends are served by the app itself
+// (public/pyodide-packages, filled by `npm run fetch-packages`)
+const PACKAGE_BASE_URL = new URL(`${import.meta.env.BASE_URL}pyodide-packages/`, self.location.origin).href;
+
+let pyodideInstance = null;
+
+const runAndTrace = async ({
+  id, code, files, entry, stdin, limits, breakpoints, watches, interruptBuffer, controlBuffer
+}) => {
+  if (!pyodideInstance) {
+    const { loadPyodide } = await import('pyodide');
+    pyodideInstance = await loadPyodide({ packageBaseUrl: PACKAGE_BASE_URL });
+  }
+
+  if (interruptBuffer) {
+    interruptBuffer[0] = 0;
+    pyodideInstance.setInterruptBuffer(interruptBuffer);
+  }
+
+  return runTracer(pyodideInstance, {
+    code,
+    files,
+    entry,
+    stdin,
+    limits,
+    breakpoints,
+    watches,
+    controlBuffer,
+    emit: (text) => self.postMessage({ type: 'stdout', id, text }),
+    onStarted: () => self.postMessage({ type: 'started', id }),
+    onPause: (state) => self.postMessage({ type: 'paused', id, state })
+  });
+};
+
+self.onmessage = async (event) => {
+  const message = event.data;
+  if (message.type !== 'run') return;
+
+  try {
+    const result = await runAndTrace(message);
+    self.postMessage({ type: 'result', id: message.id, result });
+  } catch (err) {
+    self.postMessage({ type: 'failure', id: message.id, message: err.message });
+  }
+};
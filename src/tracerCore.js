@@ -0,0 +1,1826 @@
+// The tracer itself, independent of where it runs: the Python source and the
+// steps that run it on a Pyodide instance. Shared by the browser worker
+// (tracer.worker.js) and the Node worker (node/traceWorker.js).
+//
+// TRACER_CODE becomes a Python module of its own (see loadTracerModule), so
+// its state stays private and user code runs in a fresh namespace each time.
+
+export const TRACER_CODE = `
+import sys
+import os
+import shutil
+import importlib
+import json
+import traceback
+import linecache
+import reprlib
+import itertools
+import marshal
+import operator
+import ast
+import symtable
+import time
+import inspect
+import types
+import builtins
+
+trace_data = {}
+prev_vars = {}
+frame_prev_line = {}
+frame_numbers = {}
+frame_counter = 0
+steps = []
+step_count = 0
+calls = []
+frame_calls = {}
+raising_frames = {}
+last_exception = None
+frame_invocations = {}
+invocation_counts = {}
+suspended_frames = {}
+stored_entries = 0
+elision_points = {}
+detail_nodes = 0
+detail_sizes = {}
+heap_snapshots = []
+last_heap_json = None
+heap_bytes = 0
+heap_limit_reached = False
+line_counts = {}
+function_calls = {}
+watches = []
+watch_data = {}
+prev_watch_values = {}
+error_message = None
+error_info = None
+scope_info = {'lineToScope': {}, 'scopeToLocals': {}}
+entry_file = 'main.py'
+cut_off = None
+event_count = 0
+max_events = None
+deadline = None
+
+# Pausing: (file, line) -> condition ('' for none), the JS function that
+# blocks until the user resumes, and the step command being carried out
+breakpoints = {}
+pause_handler = None
+step_mode = None
+step_depth = 0
+
+# Heap snapshots are full copies of the reachable object graph, so keep them small
+# and stop taking them once they add up to MAX_HEAP_BYTES of JSON
+MAX_HEAP_SNAPSHOTS = 500
+MAX_HEAP_BYTES = 1000000
+MAX_HEAP_OBJECTS = 100
+MAX_CONTAINER_ITEMS = 20
+PRIMITIVE_TYPES = (int, float, complex, bool, str, bytes, type(None))
+
+# Project files are written here so they can import each other; only code
+# from files in it is traced
+PROJECT_DIR = '/home/pyodide/project'
+
+# Per-variable limits for element-level diffs and sub-path histories
+MAX_DIFF_ENTRIES = 10
+MAX_TRACKED_PARTS = 20
+
+# Structured values for the inspector: how deep to expand, how many items of
+# one container to include, how many nodes one value may use in total and how
+# many all stored entries may use together. Past that, an entry keeps only the
+# root (type, length and identity) once a newer one follows it
+MAX_DETAIL_DEPTH = 4
+MAX_DETAIL_ITEMS = 50
+MAX_DETAIL_NODES = 200
+MAX_STORED_DETAIL_NODES = 20000
+
+# Arrays up to this size are shown in full; bigger ones (and every
+# DataFrame/Series) are summarized, showing this many leading rows
+MAX_SUMMARY_ITEMS = 10
+SUMMARY_HEAD_ROWS = 3
+
+class ShorteningRepr(reprlib.Repr):
+    # Notes in cut_short whether it left anything out: reprlib only reads
+    # fillvalue ('...') where it does
+    cut_short = False
+    
+    @property
+    def fillvalue(self):
+        self.cut_short = True
+        return self._fillvalue
+    
+    @fillvalue.setter
+    def fillvalue(self, value):
+        self._fillvalue = value
+
+# Reprs are cut short past these sizes, so one huge value can't stall the
+# trace or bloat its JSON; element-level diffs look at this many items
+REPR_LIMITS = ShorteningRepr(
+    maxlevel=4, maxtuple=50, maxlist=50, maxarray=50, maxdeque=50, maxdict=30,
+    maxset=30, maxfrozenset=30, maxstring=500, maxlong=100, maxother=500
+)
+MAX_COMPARED_PARTS = 1000
+INDEX_PATHS = ['[' + str(i) + ']' for i in range(MAX_COMPARED_PARTS)]
+IMMUTABLE_TYPES = frozenset(PRIMITIVE_TYPES)
+
+# Trace size budgets: entries one history may keep, steps the trace may keep,
+# and all histories and steps together. A full history keeps its start and its
+# latest changes and folds the ones in between into a single marker entry (see
+# append_history); steps are folded the same way (see record_step)
+MAX_HISTORY_ENTRIES = 400
+MAX_STORED_STEPS = 10000
+MAX_STORED_ENTRIES = 20000
+
+# Identical traceback lines in a row shown before the rest are only counted,
+# as in Python's own tracebacks
+RECURSIVE_CUTOFF = 3
+
+class ExecutionCutOff(BaseException):
+    # BaseException so that a user's 'except Exception' can't swallow it
+    def __init__(self, reason, file, line):
+        super().__init__(reason)
+        self.reason = reason
+        self.file = file
+        self.line = line
+
+class ScopeAnalyzer:
+    # Builds scope information from the compiler's own symbol tables, so
+    # nested functions, closures, classes, comprehensions and every binding
+    # form are resolved exactly as Python resolves them. Scope names follow
+    # co_qualname without '.<locals>' ('outer.inner', 'Point.norm',
+    # 'f.<lambda>'), the same names the tracer uses for runtime keys.
+    
+    # Anonymous symbol tables and the names their code objects report
+    ANONYMOUS_SCOPES = {
+        'lambda': '<lambda>', 'genexpr': '<genexpr>', 'listcomp': '<listcomp>',
+        'setcomp': '<setcomp>', 'dictcomp': '<dictcomp>'
+    }
+    
+    def __init__(self, code, prefix=''):
+        self.code = code
+        self.prefix = prefix
+        self.module_scope = prefix + 'global'
+        self.line_to_scope = {}
+        self.scope_to_locals = {self.module_scope: set()}
+        self.free_var_owners = {}
+        self.scope_ranges = {}
+        self.scope_kinds = {self.module_scope: 'module'}
+        self.function_args = {}
+        self.data_flow = {}
+        self.control_flow = {}
+        self.occurrences = []
+    
+    def qualify(self, parent, name):
+        return self.prefix + name if parent == self.module_scope else parent + '.' + name
+    
+    def visit_table(self, table, scope_name, enclosing):
+        kind = str(table.get_type())
+        if kind not in ('module', 'function', 'class'):
+            # Annotation and type-parameter tables only wrap the real scope
+            for child in table.get_children():
+                self.visit_table_child(child, scope_name, enclosing)
+            return
+        
+        local_names = self.scope_to_locals.setdefault(scope_name, set())
+        owners = {}
+        for symbol in table.get_symbols():
+            name = symbol.get_name()
+            if name.startswith('.'):
+                continue  # compiler temporaries such as a genexpr's '.0'
+            if kind == 'module':
+                # Builtins the module only reads aren't module variables
+                if symbol.is_assigned() or symbol.is_imported() or symbol.is_namespace():
+                    local_names.add(name)
+            elif symbol.is_local() and not symbol.is_global():
+                local_names.add(name)
+            elif symbol.is_declared_global() and symbol.is_assigned():
+                # 'global total' in a function creates a module variable
+                self.scope_to_locals[self.module_scope].add(name)
+            elif symbol.is_free():
+                owners[name] = self.find_owner(name, enclosing)
+        if owners:
+            self.free_var_owners.setdefault(scope_name, {}).update(owners)
+        
+        # Closures see enclosing function scopes, but never class bodies
+        if kind == 'function':
+            enclosing = enclosing + [scope_name]
+        for child in table.get_children():
+            self.visit_table_child(child, scope_name, enclosing)
+    
+    def visit_table_child(self, child, scope_name, enclosing):
+        kind = str(child.get_type())
+        name = child.get_name()
+        if kind in ('function', 'class'):
+            anonymous = self.ANONYMOUS_SCOPES.get(name)
+            child_scope = self.qualify(scope_name, anonymous or name)
+            self.scope_kinds[child_scope] = anonymous[1:-1] if anonymous else kind
+            self.visit_table(child, child_scope, enclosing)
+        else:
+            self.visit_table(child, scope_name, enclosing)
+    
+    def find_owner(self, name, enclosing):
+        for scope_name in reversed(enclosing):
+            if name in self.scope_to_locals.get(scope_name, ()):
+                return scope_name
+        return self.module_scope
+    
+    def visit_node(self, node, scope_name):
+        for child in ast.iter_child_nodes(node):
+            if isinstance(child, (ast.FunctionDef, ast.AsyncFunctionDef, ast.ClassDef)):
+                child_scope = self.qualify(scope_name, child.name)
+                self.scope_ranges[child_scope] = [child.lineno, child.end_lineno]
+                if not isinstance(child, ast.ClassDef):
+                    self.function_args[child_scope] = child.args
+                    self.control_flow[child_scope] = ControlFlowBuilder().build(child.body)
+                for line in range(child.lineno, child.end_lineno + 1):
+                    self.line_to_scope[line] = child_scope
+                self.visit_node(child, child_scope)
+            elif isinstance(child, (ast.Lambda, ast.GeneratorExp)):
+                # Inline scopes share their lines with the enclosing statement,
+                # so they get a range but don't take over lineToScope
+                name = '<lambda>' if isinstance(child, ast.Lambda) else '<genexpr>'
+                child_scope = self.qualify(scope_name, name)
+                self.scope_ranges.setdefault(child_scope, [child.lineno, child.end_lineno])
+                self.visit_node(child, child_scope)
+            else:
+                self.visit_node(child, scope_name)
+    
+    def resolve(self, name, scope_name):
+        # Same rules as resolveScope() in traceUtils.js; returns a trace key
+        if scope_name == self.module_scope or name in self.scope_to_locals.get(scope_name, ()):
+            owner = scope_name
+        else:
+            owner = self.free_var_owners.get(scope_name, {}).get(name, self.module_scope)
+        return owner + '::' + name
+    
+    def called_function(self, node, scope_name):
+        # Scope of the user function a call such as 'helper(x)' runs, if any
+        if not isinstance(node, ast.Call) or not isinstance(node.func, ast.Name):
+            return None
+        owner = self.resolve(node.func.id, scope_name).split('::')[0]
+        callee = self.qualify(owner, node.func.id)
+        return callee if callee in self.function_args else None
+    
+    def reads(self, node, scope_name, bound=frozenset()):
+        # What an expression's value is computed from: the variables it reads
+        # and the return values ('scope()') of user functions it calls, whose
+        # arguments flow into their parameters instead. Calls that can't be
+        # resolved here (methods, imported functions) read '()', whatever
+        # the line turns out to call at runtime.
+        callee = self.called_function(node, scope_name)
+        if callee:
+            return [callee + '()']
+        if isinstance(node, ast.Name):
+            key = self.resolve(node.id, scope_name)
+            owner = key.split('::')[0]
+            # Builtins such as range or len are nobody's variables
+            if isinstance(node.ctx, ast.Load) and node.id not in bound and node.id in self.scope_to_locals.get(owner, ()):
+                return [key]
+            return []
+        if isinstance(node, ast.Lambda):
+            return []  # runs later, on its own arguments
+        if isinstance(node, (ast.ListComp, ast.SetComp, ast.DictComp, ast.GeneratorExp)):
+            bound = bound | {
+                n.id for generator in node.generators
+                for n in ast.walk(generator.target) if isinstance(n, ast.Name)
+            }
+        sources = ['()'] if isinstance(node, ast.Call) else []
+        for child in ast.iter_child_nodes(node):
+            sources.extend(self.reads(child, scope_name, bound))
+        return sources
+    
+    def stores(self, target, scope_name):
+        # Variables an assignment target writes, plus what it reads to find
+        # them: 'd[k] = v' and 'obj.attr = v' change the object d or obj
+        # refers to, and which item of d changes depends on k
+        if isinstance(target, ast.Name):
+            return [self.resolve(target.id, scope_name)], []
+        if isinstance(target, ast.Starred):
+            return self.stores(target.value, scope_name)
+        if isinstance(target, (ast.Tuple, ast.List)):
+            written, read = [], []
+            for element in target.elts:
+                element_written, element_read = self.stores(element, scope_name)
+                written += element_written
+                read += element_read
+            return written, read
+        read = []
+        while isinstance(target, (ast.Attribute, ast.Subscript)):
+            if isinstance(target, ast.Subscript):
+                read += self.reads(target.slice, scope_name)
+            target = target.value
+        if isinstance(target, ast.Name):
+            return [self.resolve(target.id, scope_name)], read
+        return [], read
+    
+    def bind_arguments(self, call, callee):
+        # (parameter key, argument) pairs for a call to a user function
+        args = self.function_args[callee]
+        positional = [a.arg for a in args.posonlyargs + args.args]
+        keyword = positional + [a.arg for a in args.kwonlyargs]
+        pairs = []
+        for i, value in enumerate(call.args):
+            if isinstance(value, ast.Starred) or i >= len(positional):
+                name = args.vararg.arg if args.vararg else None
+            else:
+                name = positional[i]
+            pairs.append((name, value))
+        for kw in call.keywords:
+            if kw.arg in keyword:
+                pairs.append((kw.arg, kw.value))
+            else:
+                pairs.append((args.kwarg.arg if args.kwarg else None, kw.value))
+        return [(callee + '::' + name, value) for name, value in pairs if name]
+    
+    def add_flow(self, line, targets, sources):
+        for target in targets:
+            for source in sources:
+                self.data_flow[(line, source, target)] = True
+    
+    def visit_data_flow(self, node, scope_name):
+        # Def-use relations: for every statement that binds a variable, which
+        # variables (or function results) its new value is computed from
+        for child in ast.iter_child_nodes(node):
+            if isinstance(child, ast.Lambda):
+                continue
+            child_scope = scope_name
+            if isinstance(child, (ast.FunctionDef, ast.AsyncFunctionDef, ast.ClassDef)):
+                child_scope = self.qualify(scope_name, child.name)
+            
+            line = getattr(child, 'lineno', None)
+            targets, value = [], None
+            if isinstance(child, ast.Assign):
+                targets, value = child.targets, child.value
+            elif isinstance(child, (ast.AugAssign, ast.NamedExpr)):
+                targets, value = [child.target], child.value
+            elif isinstance(child, ast.AnnAssign) and child.value:
+                targets, value = [child.target], child.value
+            elif isinstance(child, (ast.For, ast.AsyncFor)):
+                targets, value = [child.target], child.iter
+            elif isinstance(child, (ast.With, ast.AsyncWith)):
+                for item in child.items:
+                    if item.optional_vars:
+                        written, read = self.stores(item.optional_vars, scope_name)
+                        self.add_flow(line, written, read + self.reads(item.context_expr, scope_name))
+            elif isinstance(child, ast.Return) and child.value and scope_name in self.function_args:
+                self.add_flow(line, [scope_name + '()'], self.reads(child.value, scope_name))
+            elif isinstance(child, ast.Call):
+                callee = self.called_function(child, scope_name)
+                for param, argument in self.bind_arguments(child, callee) if callee else []:
+                    self.add_flow(line, [param], self.reads(argument, scope_name))
+            
+            if value is not None:
+                sources = self.reads(value, scope_name)
+                for target in targets:
+                    written, read = self.stores(target, scope_name)
+                    # 'total += i' also depends on the old total
+                    self.add_flow(line, written, sources + read + (written if isinstance(child, ast.AugAssign) else []))
+            self.visit_data_flow(child, child_scope)
+    
+    def column(self, line, offset):
+        # ast offsets count UTF-8 bytes; the editor counts UTF-16 units from 1
+        prefix = self.lines[line - 1].encode('utf-8')[:offset].decode('utf-8', 'replace')
+        return len(prefix.encode('utf-16-le')) // 2 + 1
+    
+    def visit_occurrences(self, node, scope_name, bound=frozenset()):
+        # Every place a variable is named, with the trace key it resolves to
+        # and whether it's read ('load'), assigned ('store') or deleted
+        # ('del'). Parameters count as assignments. Comprehension variables
+        # live in the enclosing function, as they do at runtime since 3.12.
+        if isinstance(node, (ast.Name, ast.arg)):
+            name = node.id if isinstance(node, ast.Name) else node.arg
+            self.occurrences.append({
+                'line': node.lineno,
+                'column': self.column(node.lineno, node.col_offset),
+                'endColumn': self.column(node.lineno, node.col_offset + len(name.encode('utf-8'))),
+                'key': scope_name + '::' + name if name in bound else self.resolve(name, scope_name),
+                'context': type(node.ctx).__name__.lower() if isinstance(node, ast.Name) else 'store'
+            })
+        
+        # Decorators, base classes and defaults are evaluated where the def
+        # or class statement runs; parameters and the body in its own scope
+        if isinstance(node, (ast.FunctionDef, ast.AsyncFunctionDef, ast.Lambda, ast.ClassDef)):
+            inner = self.qualify(scope_name, '<lambda>' if isinstance(node, ast.Lambda) else node.name)
+            outer = list(getattr(node, 'decorator_list', []))
+            if isinstance(node, ast.ClassDef):
+                outer += node.bases + [kw.value for kw in node.keywords]
+                own = node.body
+            else:
+                args = node.args
+                outer += args.defaults + [d for d in args.kw_defaults if d is not None]
+                own = args.posonlyargs + args.args + args.kwonlyargs + [a for a in (args.vararg, args.kwarg) if a]
+                own += node.body if isinstance(node.body, list) else [node.body]
+            for child in outer:
+                self.visit_occurrences(child, scope_name, bound)
+            for child in own:
+                self.visit_occurrences(child, inner)
+            return
+        
+        if isinstance(node, ast.GeneratorExp):
+            # Only the first iterable is evaluated outside the generator
+            first = node.generators[0]
+            self.visit_occurrences(first.iter, scope_name, bound)
+            inner = self.qualify(scope_name, '<genexpr>')
+            for child in [node.elt, first.target, *first.ifs, *node.generators[1:]]:
+                self.visit_occurrences(child, inner)
+            return
+        if isinstance(node, (ast.ListComp, ast.SetComp, ast.DictComp)):
+            bound = bound | {
+                n.id for generator in node.generators
+                for n in ast.walk(generator.target) if isinstance(n, ast.Name)
+            }
+        for child in ast.iter_child_nodes(node):
+            self.visit_occurrences(child, scope_name, bound)
+    
+    def analyze(self):
+        tree = ast.parse(self.code)
+        table = symtable.symtable(self.code, '<string>', 'exec')
+        
+        total_lines = len(self.code.split('\\n'))
+        for i in range(1, total_lines + 2):
+            self.line_to_scope[i] = self.module_scope
+        
+        self.control_flow[self.module_scope] = ControlFlowBuilder().build(tree.body)
+        self.visit_node(tree, self.module_scope)
+        self.visit_table(table, self.module_scope, [])
+        self.visit_data_flow(tree, self.module_scope)
+        self.lines = self.code.split('\\n')
+        self.visit_occurrences(tree, self.module_scope)
+        
+        return {
+            'moduleScope': self.module_scope,
+            'lineToScope': {str(k): v for k, v in self.line_to_scope.items()},
+            'scopeToLocals': {k: sorted(v) for k, v in self.scope_to_locals.items()},
+            'freeVarOwners': self.free_var_owners,
+            'scopeRanges': self.scope_ranges,
+            'scopeKinds': self.scope_kinds,
+            'dataFlow': [
+                {'line': line, 'from': source, 'to': target}
+                for line, source, target in self.data_flow
+            ],
+            'controlFlow': self.control_flow,
+            'occurrences': self.occurrences
+        }
+
+class ControlFlowBuilder:
+    # Control-flow graph of one function body (or a module). Runs of plain
+    # statements share a block; if/while/for/try/with/match headers get their
+    # own, so each branch and loop edge can be labelled. Blocks cover the
+    # lines [start, end]; the entry and exit blocks cover none.
+    
+    def __init__(self):
+        self.blocks = []
+        self.edges = []
+        self.loops = []  # (header block, edges leaving through break)
+    
+    def add_block(self, kind, start=None, end=None):
+        self.blocks.append({'id': len(self.blocks), 'kind': kind, 'start': start, 'end': end})
+        return len(self.blocks) - 1
+    
+    def link(self, exits, target):
+        for source, label in exits:
+            self.edges.append({'from': source, 'to': target, 'label': label})
+    
+    def header(self, kind, stmt, last_line, exits):
+        block = self.add_block(kind, stmt.lineno, last_line)
+        self.link(exits, block)
+        return block
+    
+    def build(self, body):
+        entry = self.add_block('entry')
+        self.exit = self.add_block('exit')
+        self.link(self.visit_body(body, [(entry, None)]), self.exit)
+        return {'blocks': self.blocks, 'edges': self.edges}
+    
+    def visit_body(self, body, exits):
+        # Returns the edges still waiting for whatever runs next
+        block = None
+        for stmt in body:
+            if isinstance(stmt, (ast.If, ast.While, ast.For, ast.AsyncFor, ast.Try, ast.TryStar,
+                                 ast.With, ast.AsyncWith, ast.Match)):
+                block = None
+                exits = self.visit_compound(stmt, exits)
+                continue
+            # A def or class statement only runs its header here
+            end = stmt.body[0].lineno - 1 if isinstance(
+                stmt, (ast.FunctionDef, ast.AsyncFunctionDef, ast.ClassDef)) else stmt.end_lineno
+            if block is None or exits != [(block, None)]:
+                block = self.header('block', stmt, end, exits)
+            else:
+                self.blocks[block]['end'] = end
+            exits = [(block, None)]
+            
+            if isinstance(stmt, (ast.Return, ast.Raise)):
+                self.link([(block, 'return' if isinstance(stmt, ast.Return) else 'raise')], self.exit)
+                exits = []
+            elif isinstance(stmt, ast.Break) and self.loops:
+                self.loops[-1][1].append((block, 'break'))
+                exits = []
+            elif isinstance(stmt, ast.Continue) and self.loops:
+                self.link([(block, 'continue')], self.loops[-1][0])
+                exits = []
+        return exits
+    
+    def visit_compound(self, stmt, exits):
+        if isinstance(stmt, ast.If):
+            block = self.header('branch', stmt, stmt.test.end_lineno, exits)
+            after = self.visit_body(stmt.body, [(block, 'True')])
+            if len(stmt.orelse) == 1 and isinstance(stmt.orelse[0], ast.If):
+                return after + self.visit_compound(stmt.orelse[0], [(block, 'False')])
+            return after + self.visit_body(stmt.orelse, [(block, 'False')])
+        
+        if isinstance(stmt, (ast.While, ast.For, ast.AsyncFor)):
+            if isinstance(stmt, ast.While):
+                block = self.header('loop', stmt, stmt.test.end_lineno, exits)
+                enter, leave = 'True', 'False'
+            else:
+                block = self.header('loop', stmt, stmt.iter.end_lineno, exits)
+                enter, leave = 'next', 'done'
+            self.loops.append((block, []))
+            self.link(self.visit_body(stmt.body, [(block, enter)]), block)
+            _, breaks = self.loops.pop()
+            return self.visit_body(stmt.orelse, [(block, leave)]) + breaks
+        
+        if isinstance(stmt, (ast.With, ast.AsyncWith)):
+            block = self.header('block', stmt, stmt.body[0].lineno - 1, exits)
+            return self.visit_body(stmt.body, [(block, None)])
+        
+        if isinstance(stmt, ast.Match):
+            # Cases are tried in order until one matches
+            untried = [(self.header('block', stmt, stmt.subject.end_lineno, exits), None)]
+            after = []
+            for case in stmt.cases:
+                case_block = self.header('branch', case.pattern, case.pattern.end_lineno, untried)
+                after += self.visit_body(case.body, [(case_block, 'match')])
+                untried = [(case_block, 'no match')]
+            return after + untried
+        
+        # try: any line of the body may jump to a handler, drawn as one edge
+        # from the try header; finally runs after every way out
+        block = self.header('block', stmt, stmt.body[0].lineno - 1, exits)
+        after = self.visit_body(stmt.body, [(block, None)])
+        after = self.visit_body(stmt.orelse, after)
+        for handler in stmt.handlers:
+            handler_block = self.header('branch', handler, handler.body[0].lineno - 1, [(block, 'except')])
+            after += self.visit_body(handler.body, [(handler_block, None)])
+        return self.visit_body(stmt.finalbody, after)
+
+def analyze_scopes(code, prefix=''):
+    try:
+        return ScopeAnalyzer(code, prefix).analyze()
+    except Exception as e:
+        return {'lineToScope': {}, 'scopeToLocals': {}, 'error': str(e)}
+
+def find_executable_lines(code):
+    # Every line some code object has instructions for, nested functions
+    # included, so lines that never ran can be told apart from blank ones
+    try:
+        pending = [compile(code, '<coverage>', 'exec')]
+    except Exception:
+        return []
+    lines = set()
+    while pending:
+        code_object = pending.pop()
+        lines.update(line for _, _, line in code_object.co_lines() if line)
+        pending.extend(c for c in code_object.co_consts if isinstance(c, types.CodeType))
+    return sorted(lines)
+
+def is_user_var(name, value):
+    # Whether a name in a user frame holds the program's own data, judged by
+    # where it came from rather than what it's called: names Python sets
+    # itself (__name__, __builtins__, a method's __class__ cell), compiler
+    # temporaries like a generator expression's '.0', and the functions and
+    # modules bound by def and import are left out
+    if not name.isidentifier() or (name.startswith('__') and name.endswith('__')):
+        return False
+    return not is_function(value) and not isinstance(value, types.ModuleType)
+
+def is_function(val):
+    return callable(val) and not isinstance(val, type)
+
+def safe_repr(val):
+    try:
+        summarizer = None if type(val) in IMMUTABLE_TYPES else get_summarizer(val)
+        if summarizer is not None:
+            return summarizer[0](val)
+        return REPR_LIMITS.repr(val)
+    except:
+        return '<unrepresentable>'
+
+def one_line(text):
+    return ' '.join(text.split())
+
+def summarize_ndarray(arr):
+    if arr.size <= MAX_SUMMARY_ITEMS:
+        return one_line(repr(arr))
+    text = 'ndarray shape=' + str(arr.shape) + ' dtype=' + str(arr.dtype)
+    if arr.dtype.kind in 'biuf':
+        text += ' min=' + str(arr.min()) + ' max=' + str(arr.max())
+    return text
+
+def summarize_dataframe(df):
+    rows = [repr(list(row)) for row in df.head(SUMMARY_HEAD_ROWS).itertuples(index=False)]
+    if len(df) > SUMMARY_HEAD_ROWS:
+        rows.append('...')
+    columns = ', '.join(str(c) for c in df.columns)
+    return (
+        'DataFrame ' + str(len(df)) + ' rows × ' + str(len(df.columns)) + ' columns [' + columns + ']'
+        + ' head=[' + ', '.join(rows) + ']'
+    )
+
+def summarize_series(series):
+    head = [repr(v) for v in series.head(SUMMARY_HEAD_ROWS).tolist()]
+    if len(series) > SUMMARY_HEAD_ROWS:
+        head.append('...')
+    name = ' ' + repr(series.name) if series.name is not None else ''
+    return (
+        'Series' + name + ' length=' + str(len(series)) + ' dtype=' + str(series.dtype)
+        + ' head=[' + ', '.join(head) + ']'
+    )
+
+def hash_pandas(value):
+    return int(sys.modules['pandas'].util.hash_pandas_object(value).sum())
+
+# Summaries hide changes that keep the shape and extremes, so each summarized
+# type also has a content fingerprint to tell whether the value really changed.
+# Keyed by qualified type name so neither library is imported until the user does.
+SUMMARIZERS = {
+    'numpy.ndarray': (summarize_ndarray, lambda arr: hash(arr.tobytes())),
+    'pandas.core.frame.DataFrame': (summarize_dataframe, hash_pandas),
+    'pandas.core.series.Series': (summarize_series, hash_pandas),
+}
+
+def get_summarizer(value):
+    value_type = type(value)
+    return SUMMARIZERS.get(value_type.__module__ + '.' + value_type.__qualname__)
+
+def content_fingerprint(value, summarizer):
+    try:
+        return summarizer[1](value)
+    except Exception:
+        return None
+
+def is_user_frame(frame):
+    return frame.f_code.co_filename.startswith(PROJECT_DIR + '/')
+
+def get_file_name(frame):
+    # Path relative to the project, e.g. 'helpers.py'
+    return frame.f_code.co_filename[len(PROJECT_DIR) + 1:]
+
+def get_scope_prefix(file_name):
+    # The entry file keeps plain scope names ('global', 'outer'); scopes in
+    # any other file are qualified with it ('helpers.py:global')
+    return '' if file_name == entry_file else file_name + ':'
+
+def get_module_scope(frame):
+    return get_scope_prefix(get_file_name(frame)) + 'global'
+
+def get_func_name(frame):
+    prefix = get_scope_prefix(get_file_name(frame))
+    if frame.f_code.co_name == '<module>':
+        return prefix + 'global'
+    # 'outer.<locals>.helper' -> 'outer.helper', matching analyze_scopes()
+    return prefix + frame.f_code.co_qualname.replace('.<locals>', '')
+
+def get_var_scope(frame, func_name, name):
+    # Which scope owns a name visible in frame; mirrors Python's own rules
+    code = frame.f_code
+    module_scope = get_module_scope(frame)
+    if func_name == module_scope:
+        return module_scope
+    if not code.co_flags & inspect.CO_OPTIMIZED:
+        return func_name  # class bodies keep their namespace in f_locals
+    if name in code.co_varnames or name in code.co_cellvars:
+        return func_name
+    if name in code.co_freevars:
+        file_info = scope_info.get('files', {}).get(get_file_name(frame), {})
+        return file_info.get('freeVarOwners', {}).get(func_name, {}).get(name, module_scope)
+    return module_scope
+
+def get_scope_invocation(frame, func_name, scope):
+    # Closure variables belong to the invocation of the function that owns them
+    if scope == get_module_scope(frame):
+        return scope
+    if scope == func_name:
+        return get_invocation(frame)
+    f = frame.f_back
+    while f is not None:
+        if is_user_frame(f) and get_func_name(f) == scope:
+            return get_invocation(f)
+        f = f.f_back
+    return scope + '#closure'
+
+def is_resumable(frame):
+    return bool(frame.f_code.co_flags & (
+        inspect.CO_GENERATOR | inspect.CO_COROUTINE | inspect.CO_ASYNC_GENERATOR
+    ))
+
+def get_invocation(frame):
+    # Stable id for one execution of a function, e.g. 'fib#3' for the third
+    # call of fib, so recursive and repeated calls keep separate histories
+    frame_id = id(frame)
+    if frame_id not in frame_invocations:
+        qualname = get_func_name(frame)
+        if frame.f_code.co_name == '<module>':
+            frame_invocations[frame_id] = qualname
+        else:
+            invocation_counts[qualname] = invocation_counts.get(qualname, 0) + 1
+            frame_invocations[frame_id] = qualname + '#' + str(invocation_counts[qualname])
+    return frame_invocations[frame_id]
+
+def end_invocation(frame):
+    if is_resumable(frame):
+        # A generator 'return' may only be a yield; keep the frame alive so
+        # its id can't be handed to a new frame while it is suspended
+        suspended_frames[id(frame)] = frame
+        return
+    invocation = frame_invocations.pop(id(frame), None)
+    # Module globals outlive the module's frame and stay visible to later calls
+    if frame.f_code.co_name != '<module>':
+        prev_vars.pop(invocation, None)
+
+def is_plain_instance(value):
+    return (
+        hasattr(value, '__dict__') and not callable(value)
+        and not isinstance(value, (type, types.ModuleType))
+        and get_summarizer(value) is None
+    )
+
+def key_path(key):
+    return '[' + safe_repr(key) + ']'
+
+def element_reprs(elements, old, field, describe):
+    # describe() of each element, reusing the old parts' reprs (old[field]) at
+    # the positions that still hold the same object, unless it is mutable and
+    # its content signature moved. An append or an item assignment to a big
+    # list costs one repr instead of one per item. Returns the reprs and what
+    # the next call needs: the elements, their reprs and the signatures of
+    # the mutable ones by position
+    old_elements, old_reprs, old_mutable = (old and old.get(field)) or ([], [], {})
+    shared = min(len(elements), len(old_elements))
+    reprs = old_reprs[:shared]
+    replaced = set(itertools.compress(range(shared), map(operator.is_not, elements, old_elements)))
+    mutable = {}
+    for i, old_signature in old_mutable.items():
+        if i < shared and i not in replaced:
+            signature = content_signature(elements[i])
+            if signature is None or signature != old_signature:
+                reprs[i] = describe(elements[i])
+            mutable[i] = signature
+    for i in itertools.chain(sorted(replaced), range(shared, len(elements))):
+        if i < shared:
+            reprs[i] = describe(elements[i])
+        else:
+            reprs.append(describe(elements[i]))
+        if type(elements[i]) not in IMMUTABLE_TYPES:
+            mutable[i] = content_signature(elements[i])
+    return reprs, (elements, reprs, mutable)
+
+def get_parts(value, old=None):
+    # Element-level view of a container or object, keyed by the sub-path that
+    # reaches each part ('[3]', "['a']", '.count'); None for anything else.
+    # old is the parts of the value the variable held before, whose reprs are
+    # reused where nothing changed (see element_reprs)
+    try:
+        if isinstance(value, (list, tuple)):
+            elements = list(itertools.islice(value, MAX_COMPARED_PARTS))
+            reprs, values = element_reprs(elements, old, 'values', safe_repr)
+            return {'kind': 'index', 'items': dict(zip(INDEX_PATHS, reprs)), 'values': values}
+        if isinstance(value, dict):
+            items = list(itertools.islice(value.items(), MAX_COMPARED_PARTS))
+            paths, keys = element_reprs(list(map(operator.itemgetter(0), items)), old, 'keys', key_path)
+            reprs, values = element_reprs(list(map(operator.itemgetter(1), items)), old, 'values', safe_repr)
+            return {'kind': 'key', 'items': dict(zip(paths, reprs)), 'keys': keys, 'values': values}
+        if isinstance(value, (set, frozenset)):
+            reprs = sorted(safe_repr(v) for v in itertools.islice(value, MAX_COMPARED_PARTS))
+            return {'kind': 'item', 'items': {r: r for r in reprs}}
+        if is_plain_instance(value):
+            return {'kind': 'attr', 'items': {'.' + k: safe_repr(v) for k, v in list(vars(value).items())}}
+    except Exception:
+        pass
+    return None
+
+def get_children(value, limit):
+    # The first limit (path, child) pairs of a container or object, with the
+    # same paths as get_parts, and how many there are in all; None for values
+    # that are shown as a single repr
+    if isinstance(value, (list, tuple)):
+        return list(zip(INDEX_PATHS, itertools.islice(value, limit))), len(value)
+    if isinstance(value, dict):
+        return [(key_path(k), v) for k, v in itertools.islice(value.items(), limit)], len(value)
+    if isinstance(value, (set, frozenset)):
+        return [('', v) for v in sorted(value, key=safe_repr)[:limit]], len(value)
+    if is_plain_instance(value):
+        attrs = vars(value)
+        return [('.' + k, v) for k, v in itertools.islice(attrs.items(), limit)], len(attrs)
+    return None
+
+def describe_value(value, max_nodes=MAX_DETAIL_NODES):
+    # Depth-limited tree of a value for the inspector, and how many nodes it used:
+    #   {type, repr?, id?, length?, children?: [{path, value}], more?, cycle?, collapsed?}
+    # Leaves carry their repr; containers carry their children instead
+    budget = [max_nodes]
+    
+    def describe(value, depth, ancestors):
+        budget[0] -= 1
+        node = {'type': type(value).__name__}
+        if isinstance(value, PRIMITIVE_TYPES):
+            node['repr'] = safe_repr(value)
+            if isinstance(value, (str, bytes)):
+                node['length'] = len(value)
+            return node
+        
+        node['id'] = str(id(value))
+        try:
+            described = get_children(value, MAX_DETAIL_ITEMS)
+        except Exception:
+            described = None
+        if described is None:
+            node['repr'] = safe_repr(value)
+            return node
+        
+        children, length = described
+        node['length'] = length
+        if id(value) in ancestors:
+            node['cycle'] = True
+        elif depth >= MAX_DETAIL_DEPTH or budget[0] <= 0:
+            node['collapsed'] = True
+        else:
+            inner = ancestors | {id(value)}
+            shown = []
+            for path, child in children:
+                if budget[0] <= 0:
+                    break
+                shown.append({'path': path, 'value': describe(child, depth + 1, inner)})
+            node['children'] = shown
+            if len(shown) < length:
+                node['more'] = length - len(shown)
+        return node
+    
+    return describe(value, 0, frozenset()), max_nodes - budget[0]
+
+def describe_entry_value(value):
+    # describe_value, counted against MAX_STORED_DETAIL_NODES
+    global detail_nodes
+    detail, used = describe_value(value)
+    detail_nodes += used
+    detail_sizes[id(detail)] = used
+    return detail
+
+def release_detail(entry, keep_root=False):
+    # Hands the nodes of an entry's tree back to the budget, keeping the root
+    # or dropping the tree along with the entry
+    global detail_nodes
+    detail = entry.pop('detail', None)
+    if detail is None:
+        return
+    detail_nodes -= detail_sizes.pop(id(detail), 0)
+    if keep_root:
+        root = {k: v for k, v in detail.items() if k not in ('children', 'more')}
+        if 'children' in detail:
+            root['collapsed'] = True
+        entry['detail'] = root
+        detail_nodes += 1
+        detail_sizes[id(root)] = 1
+
+def instance_repr(value, parts):
+    # The default '<Foo object at 0x...>' never changes, so show the attributes instead
+    if type(value).__repr__ is not object.__repr__ or parts is None:
+        return safe_repr(value)
+    attrs = ', '.join(path[1:] + '=' + r for path, r in parts['items'].items())
+    return type(value).__name__ + '(' + attrs + ')'
+
+def same_parts(old, new):
+    return old is new or (
+        old is not None and new is not None and old['kind'] == new['kind'] and old['items'] == new['items']
+    )
+
+def diff_parts(old, new):
+    if old is None or new is None or old['kind'] != new['kind']:
+        return None
+    
+    kind = new['kind']
+    old_items, new_items = old['items'], new['items']
+    # Set operations find the few parts that changed in a big container
+    # without a Python loop over all of them; they are then put back in order
+    updated = new_items.items() - old_items.items()
+    removed = old_items.keys() - new_items.keys()
+    diff = []
+    if updated:
+        order = dict(zip(new_items, itertools.count()))
+        for path, new_repr in sorted(updated, key=lambda item: order[item[0]]):
+            old_repr = old_items.get(path)
+            if old_repr is None:
+                diff.append({'kind': kind, 'path': path, 'op': 'added', 'new': new_repr})
+            else:
+                diff.append({'kind': kind, 'path': path, 'op': 'changed', 'old': old_repr, 'new': new_repr})
+    if removed:
+        order = dict(zip(old_items, itertools.count()))
+        for path in sorted(removed, key=order.get):
+            diff.append({'kind': kind, 'path': path, 'op': 'removed', 'old': old_items[path]})
+    
+    if len(diff) > MAX_DIFF_ENTRIES:
+        diff = diff[:MAX_DIFF_ENTRIES] + [{'op': 'more', 'count': len(diff) - MAX_DIFF_ENTRIES}]
+    return diff
+
+def content_signature(value):
+    # Bytes that change whenever plain data (numbers, strings and containers
+    # of them, however nested) changes, produced in C and far cheaper than a
+    # repr; None for anything else, which is always compared by repr
+    try:
+        return marshal.dumps(value)
+    except Exception:
+        return None
+
+def append_history(histories, key, entry):
+    # Adds entry to the history of key within the trace size budgets. Once a
+    # history is full, the entry after its marker is folded into the marker
+    # ({line, step, ..., value: '<N changes elided>', elided: N}), so the start
+    # of the history and its latest changes stay. Over the detail budget, the
+    # entry that was the latest keeps only the root of its tree
+    global stored_entries
+    history = histories.setdefault(key, [])
+    if history and detail_nodes > MAX_STORED_DETAIL_NODES:
+        release_detail(history[-1], keep_root=True)
+    full = len(history) >= MAX_HISTORY_ENTRIES or (stored_entries >= MAX_STORED_ENTRIES and len(history) >= 3)
+    if not full:
+        history.append(entry)
+        stored_entries += 1
+        return
+    
+    index = elision_points.get(id(history))
+    if index is None:
+        index = len(history) // 2
+        first = history[index]
+        release_detail(first)
+        history[index] = {k: v for k, v in first.items() if k != 'diff'}
+        history[index]['elided'] = 1
+        elision_points[id(history)] = index
+    marker = history[index]
+    release_detail(history.pop(index + 1))
+    marker['elided'] += 1
+    marker['value'] = '<' + str(marker['elided']) + ' changes elided>'
+    history.append(entry)
+
+def capture_changes(frame, line_no):
+    global prev_vars, trace_data
+    
+    changes = []
+    
+    def record(scoped_key, scope, invocation, value, diff=None, detail=None, cut_short=False):
+        entry = {
+            'line': line_no,
+            'function': scope,
+            'assignedIn': func_name,
+            'value': value,
+            'step': step_count,
+            'invocation': invocation,
+            'file': file_name
+        }
+        if diff:
+            entry['diff'] = diff
+        if detail:
+            entry['detail'] = detail
+        if cut_short:
+            entry['cutShort'] = True
+        append_history(trace_data, scoped_key, entry)
+        changes.append({'var': scoped_key})
+    
+    func_name = get_func_name(frame)
+    file_name = get_file_name(frame)
+    module_scope = get_module_scope(frame)
+    
+    current_vars = {}
+    var_scopes = {}
+    var_invocations = {}
+    
+    for k, v in list(frame.f_locals.items()):
+        if is_user_var(k, v):
+            scope = get_var_scope(frame, func_name, k)
+            scoped_key = scope + '::' + k
+            current_vars[scoped_key] = v
+            var_scopes[scoped_key] = scope
+            var_invocations[scoped_key] = get_scope_invocation(frame, func_name, scope)
+    
+    for k, v in list(frame.f_globals.items()):
+        if is_user_var(k, v):
+            scoped_key = module_scope + '::' + k
+            if scoped_key not in current_vars:
+                current_vars[scoped_key] = v
+                var_scopes[scoped_key] = module_scope
+                var_invocations[scoped_key] = module_scope
+    
+    for scoped_key, value in current_vars.items():
+        scope = var_scopes[scoped_key]
+        invocation = var_invocations[scoped_key]
+        # User code (__eq__, __iter__, properties) runs while values are
+        # compared and broken into parts; if it fails, only this variable is
+        # skipped on this line
+        try:
+            # Locals are compared per invocation so a new call always starts a fresh history
+            prev_bucket = prev_vars.setdefault(invocation, {})
+            prev = prev_bucket.get(scoped_key)
+            
+            # Plain data with the same content as last time needs no repr at all
+            signature = content_signature(value)
+            if signature is not None and prev is not None and prev[3] == signature:
+                continue
+            
+            # Attribute changes don't show up in an object's repr, so objects
+            # are always broken into parts; containers only once their repr moved
+            is_instance = is_plain_instance(value)
+            old_parts = prev[1] if prev is not None else None
+            parts = get_parts(value, old_parts) if is_instance else None
+            REPR_LIMITS.cut_short = False
+            v_repr = instance_repr(value, parts) if is_instance else safe_repr(value)
+            cut_short = REPR_LIMITS.cut_short
+            summarizer = get_summarizer(value)
+            fingerprint = content_fingerprint(value, summarizer) if summarizer else None
+            unchanged = (
+                prev is not None and prev[0] == v_repr and prev[2] == fingerprint
+                and (not is_instance or same_parts(old_parts, parts))
+            )
+            if unchanged and signature is not None:
+                # The content moved but the repr may have been cut short before it
+                parts = get_parts(value, old_parts)
+                unchanged = same_parts(old_parts, parts)
+            if unchanged:
+                # The new parts hold the objects now in the container to compare against
+                prev_bucket[scoped_key] = (prev[0], parts or old_parts, prev[2], signature)
+                continue
+            
+            if parts is None:
+                parts = get_parts(value, old_parts)
+            record(
+                scoped_key, scope, invocation, v_repr, diff_parts(old_parts, parts), describe_entry_value(value),
+                cut_short
+            )
+            prev_bucket[scoped_key] = (v_repr, parts, fingerprint, signature)
+            
+            # Keys and attributes also get histories of their own, e.g. 'global::d['a']'
+            if parts is not None and parts['kind'] in ('key', 'attr'):
+                tracked = list(parts['items'])[:MAX_TRACKED_PARTS]
+                # Both kinds list their parts in the order of the values here
+                part_values = list(itertools.islice(
+                    (value if parts['kind'] == 'key' else vars(value)).values(), MAX_TRACKED_PARTS
+                ))
+                old_items = old_parts['items'] if old_parts and old_parts['kind'] == parts['kind'] else {}
+                for path, part_value in zip(tracked, part_values):
+                    if old_items.get(path) != parts['items'][path]:
+                        record(
+                            scoped_key + path, scope, invocation, parts['items'][path],
+                            detail=describe_entry_value(part_value)
+                        )
+                if old_items.keys() - parts['items'].keys():
+                    for path in old_items:
+                        if path not in parts['items'] and scoped_key + path in trace_data:
+                            record(scoped_key + path, scope, invocation, '<removed>')
+        except Exception:
+            continue
+    
+    return changes
+
+def compile_watch(expr):
+    # (expr, code or None, names it reads, syntax error message or None)
+    try:
+        tree = ast.parse(expr.strip(), mode='eval')
+    except SyntaxError as e:
+        return (expr, None, set(), '<SyntaxError: ' + str(e.msg) + '>')
+    names = {node.id for node in ast.walk(tree) if isinstance(node, ast.Name)}
+    return (expr, compile(tree, '<watch>', 'eval'), names, None)
+
+def capture_watches(frame, line_no):
+    # Evaluates every watch expression in frame and records the ones whose
+    # value changed, in the same shape as trace_data. A watch belongs to this
+    # function when it reads one of its locals, else to module level. Errors
+    # become the recorded value, except a NameError before the watch ever had
+    # a value in that scope (it just isn't visible there).
+    changes = []
+    func_name = get_func_name(frame)
+    module_scope = get_module_scope(frame)
+    f_locals = frame.f_locals
+    
+    for expr, code, names, syntax_error in watches:
+        if any(name in f_locals for name in names) and func_name != module_scope:
+            scope, invocation = func_name, get_invocation(frame)
+        else:
+            scope, invocation = module_scope, module_scope
+        
+        prev_key = (invocation, expr)
+        if syntax_error:
+            value = syntax_error
+        else:
+            try:
+                value = safe_repr(eval(code, frame.f_globals, f_locals))
+            except NameError as e:
+                if prev_key not in prev_watch_values:
+                    continue
+                value = '<NameError: ' + str(e) + '>'
+            except Exception as e:
+                value = '<' + type(e).__name__ + ': ' + str(e) + '>'
+        
+        if prev_watch_values.get(prev_key) == value:
+            continue
+        prev_watch_values[prev_key] = value
+        scoped_key = scope + '::' + expr
+        append_history(watch_data, scoped_key, {
+            'line': line_no,
+            'function': scope,
+            'assignedIn': func_name,
+            'value': value,
+            'step': step_count,
+            'invocation': invocation,
+            'file': get_file_name(frame)
+        })
+        changes.append({'var': scoped_key})
+    return changes
+
+def get_frame_number(frame):
+    # id(frame) can be reused once a frame is gone, so hand out our own numbers
+    global frame_counter
+    frame_id = id(frame)
+    if frame_id not in frame_numbers:
+        frame_numbers[frame_id] = frame_counter
+        frame_counter += 1
+    return frame_numbers[frame_id]
+
+def get_arguments(frame):
+    code = frame.f_code
+    count = code.co_argcount + code.co_kwonlyargcount
+    if code.co_flags & inspect.CO_VARARGS:
+        count += 1
+    if code.co_flags & inspect.CO_VARKEYWORDS:
+        count += 1
+    f_locals = frame.f_locals
+    return {name: safe_repr(f_locals[name]) for name in code.co_varnames[:count] if name in f_locals}
+
+def get_local_values(frame):
+    return {
+        k: safe_repr(v) for k, v in list(frame.f_locals.items())
+        if is_user_var(k, v)
+    }
+
+def find_caller(frame):
+    # Nearest user frame further down the stack, skipping library code
+    back = frame.f_back
+    while back is not None and not is_user_frame(back):
+        back = back.f_back
+    return back
+
+def record_call(frame):
+    caller_frame = find_caller(frame)
+    frame_calls[id(frame)] = len(calls)
+    calls.append({
+        'id': len(calls),
+        'function': frame.f_code.co_name,
+        'invocation': get_invocation(frame),
+        'args': get_arguments(frame),
+        'caller': frame_calls.get(id(caller_frame)) if caller_frame else None,
+        'callerFunction': get_func_name(caller_frame) if caller_frame else None,
+        'callerFile': get_file_name(caller_frame) if caller_frame else None,
+        'callerLine': caller_frame.f_lineno if caller_frame else None,
+        'file': get_file_name(frame),
+        'defLine': frame.f_code.co_firstlineno,
+        'step': step_count,
+        'returnValue': None,
+        'returnStep': None,
+        'raised': False,
+        'locals': {}
+    })
+
+def record_return(frame, value):
+    frame_id = id(frame)
+    index = frame_calls.pop(frame_id, None)
+    if index is None:
+        return
+    
+    # A return straight after an exception event means the exception escaped
+    call = calls[index]
+    call['raised'] = frame_id in raising_frames
+    call['returnValue'] = None if call['raised'] else safe_repr(value)
+    call['returnStep'] = step_count
+    call['locals'] = get_local_values(frame)
+
+def count_line(frame):
+    file_counts = line_counts.setdefault(get_file_name(frame), {})
+    file_counts[frame.f_lineno] = file_counts.get(frame.f_lineno, 0) + 1
+
+def count_call(frame):
+    func_name = get_func_name(frame)
+    if func_name not in function_calls:
+        function_calls[func_name] = {
+            'file': get_file_name(frame), 'line': frame.f_code.co_firstlineno, 'calls': 0
+        }
+    function_calls[func_name]['calls'] += 1
+
+def record_step(frame, event, line_no, changes, exception=None):
+    # A step only names the variables it changed; their values are in the
+    # histories, at the entry with this step number. Past the budgets, the
+    # step after the elision marker is folded into it ({step, ..., changes: [],
+    # elided: N}, standing for steps step to step + N - 1), as in append_history
+    global stored_entries, step_count
+    step = {
+        'step': step_count,
+        'event': event,
+        'file': get_file_name(frame),
+        'line': line_no,
+        'function': get_func_name(frame),
+        'frame': get_frame_number(frame),
+        'changes': changes
+    }
+    if exception:
+        step['exception'] = exception
+    step_count += 1
+    full = len(steps) >= MAX_STORED_STEPS or (stored_entries >= MAX_STORED_ENTRIES and len(steps) >= 3)
+    if not full:
+        steps.append(step)
+        stored_entries += 1
+        return
+    
+    index = elision_points.get(id(steps))
+    if index is None:
+        index = len(steps) // 2
+        steps[index] = dict(steps[index], changes=[], elided=1)
+        steps[index].pop('exception', None)
+        elision_points[id(steps)] = index
+    steps.pop(index + 1)
+    steps[index]['elided'] += 1
+    steps.append(step)
+
+def heap_ref(value, pending):
+    # Primitives are drawn inline; everything else is a reference into the heap
+    if isinstance(value, PRIMITIVE_TYPES):
+        return {'value': safe_repr(value)}
+    pending.append(value)
+    return {'ref': str(id(value))}
+
+def describe_object(obj, pending):
+    type_name = type(obj).__name__
+    try:
+        if isinstance(obj, (list, tuple)):
+            return {
+                'type': type_name, 'kind': 'sequence', 'size': len(obj),
+                'items': [heap_ref(v, pending) for v in obj[:MAX_CONTAINER_ITEMS]]
+            }
+        if isinstance(obj, (set, frozenset)):
+            return {
+                'type': type_name, 'kind': 'set', 'size': len(obj),
+                'items': [heap_ref(v, pending) for v in list(obj)[:MAX_CONTAINER_ITEMS]]
+            }
+        if isinstance(obj, dict):
+            return {
+                'type': type_name, 'kind': 'dict', 'size': len(obj),
+                'entries': [
+                    [heap_ref(k, pending), heap_ref(v, pending)]
+                    for k, v in list(obj.items())[:MAX_CONTAINER_ITEMS]
+                ]
+            }
+        if is_plain_instance(obj):
+            attrs = list(vars(obj).items())
+            return {
+                'type': type_name, 'kind': 'instance', 'size': len(attrs),
+                'attrs': {k: heap_ref(v, pending) for k, v in attrs[:MAX_CONTAINER_ITEMS]}
+            }
+    except Exception:
+        pass
+    return {'type': type_name, 'kind': 'other', 'repr': safe_repr(obj)[:100]}
+
+def is_heap_var(name, value):
+    return is_user_var(name, value) and not isinstance(value, type)
+
+def snapshot_heap(frame):
+    stack = []
+    f = frame
+    while f is not None:
+        if is_user_frame(f):
+            stack.append(f)
+        f = f.f_back
+    stack.reverse()
+    
+    pending = []
+    frames = []
+    for f in stack:
+        frames.append({
+            'name': get_func_name(f),
+            'invocation': get_invocation(f),
+            'vars': {
+                k: heap_ref(v, pending) for k, v in list(f.f_locals.items())
+                if is_heap_var(k, v)
+            }
+        })
+    
+    heap = {}
+    while pending and len(heap) < MAX_HEAP_OBJECTS:
+        obj = pending.pop(0)
+        key = str(id(obj))
+        if key not in heap:
+            heap[key] = describe_object(obj, pending)
+    
+    return {'frames': frames, 'heap': heap}
+
+def record_heap_snapshot(frame):
+    global last_heap_json, heap_limit_reached, heap_bytes
+    if heap_limit_reached:
+        return
+    
+    snapshot = snapshot_heap(frame)
+    snapshot_json = json.dumps(snapshot, sort_keys=True)
+    # Only keep snapshots where something changed; the UI uses the latest one <= step
+    if snapshot_json == last_heap_json:
+        return
+    last_heap_json = snapshot_json
+    
+    snapshot['step'] = step_count - 1
+    heap_snapshots.append(snapshot)
+    heap_bytes += len(snapshot_json)
+    heap_limit_reached = len(heap_snapshots) >= MAX_HEAP_SNAPSHOTS or heap_bytes >= MAX_HEAP_BYTES
+
+def check_limits(frame):
+    global event_count
+    event_count += 1
+    
+    reason = None
+    if max_events is not None and event_count > max_events:
+        reason = 'maxEvents'
+    elif deadline is not None and time.monotonic() > deadline:
+        reason = 'timeout'
+    
+    if reason:
+        # Flush whatever the current line already changed before bailing out
+        frame_id = id(frame)
+        if frame_id in frame_prev_line:
+            changes = capture_changes(frame, frame_prev_line[frame_id])
+            record_step(frame, 'cutOff', frame.f_lineno, changes)
+        raise ExecutionCutOff(reason, get_file_name(frame), frame.f_lineno)
+
+def get_stack_depth(frame):
+    depth = 0
+    while frame is not None:
+        if is_user_frame(frame):
+            depth += 1
+        frame = frame.f_back
+    return depth
+
+def check_pause(frame):
+    # Why to pause before this line runs: ('step' | 'breakpoint', condition
+    # error or None), or None to keep going. Runs inside the trace function,
+    # so calls made by a condition aren't traced.
+    if step_mode == 'into':
+        return ('step', None)
+    if step_mode in ('over', 'out'):
+        depth = get_stack_depth(frame)
+        if depth < step_depth or (step_mode == 'over' and depth == step_depth):
+            return ('step', None)
+    
+    condition = breakpoints.get((get_file_name(frame), frame.f_lineno))
+    if condition is None:
+        return None
+    if not condition:
+        return ('breakpoint', None)
+    try:
+        return ('breakpoint', None) if eval(condition, frame.f_globals, frame.f_locals) else None
+    except Exception as e:
+        # A broken condition pauses so the mistake is noticed
+        return ('breakpoint', type(e).__name__ + ': ' + str(e))
+
+def describe_stack(frame):
+    # User frames, innermost first, with the values of their variables
+    stack = []
+    while frame is not None:
+        if is_user_frame(frame):
+            stack.append({
+                'function': get_func_name(frame),
+                'invocation': get_invocation(frame),
+                'file': get_file_name(frame),
+                'line': frame.f_lineno,
+                'locals': get_local_values(frame)
+            })
+        frame = frame.f_back
+    return stack
+
+def pause_at(frame, reason, condition_error):
+    global step_mode, step_depth, deadline
+    sys.stdout.flush()
+    sys.stderr.flush()
+    state = {
+        'reason': reason,
+        'file': get_file_name(frame),
+        'line': frame.f_lineno,
+        'step': step_count - 1,
+        'conditionError': condition_error,
+        'stack': describe_stack(frame)
+    }
+    paused_at = time.monotonic()
+    command = str(pause_handler(json.dumps(state)))
+    # Time spent paused doesn't count towards the time limit
+    if deadline is not None:
+        deadline += time.monotonic() - paused_at
+    
+    if command == 'stop':
+        raise ExecutionCutOff('stopped', state['file'], state['line'])
+    step_mode = None if command == 'continue' else command
+    step_depth = get_stack_depth(frame)
+
+def last_user_location(tb):
+    file, line = None, None
+    for entry in traceback.extract_tb(tb):
+        if entry.filename.startswith(PROJECT_DIR + '/'):
+            file, line = entry.filename[len(PROJECT_DIR) + 1:], entry.lineno
+    return file, line
+
+def describe_exception(exc):
+    try:
+        message = one_line(str(exc))
+    except Exception:
+        message = '<unprintable>'
+    return {'type': type(exc).__name__, 'message': message}
+
+def get_project_path(path):
+    # 'main.py' for a file of the project, else None
+    if path and path.startswith(PROJECT_DIR + '/'):
+        return path[len(PROJECT_DIR) + 1:]
+    return None
+
+def describe_error(e):
+    # The uncaught exception: {type, message, frames, text}. frames are the
+    # project's own frames of the traceback, outermost first, and text the
+    # traceback as Python prints it, limited to those frames. Like Python,
+    # a frame repeated more than RECURSIVE_CUTOFF times in a row (a runaway
+    # recursion) is kept RECURSIVE_CUTOFF times and the last copy counts the
+    # rest as 'repeated'. A SyntaxError also says exactly where it is: file,
+    # line, column, endLine, endColumn
+    error = describe_exception(e)
+    frames = []
+    lines = []
+    last_location = None
+    count = 0
+    
+    def end_repeat():
+        if count > RECURSIVE_CUTOFF:
+            repeated = count - RECURSIVE_CUTOFF
+            frames[-1]['repeated'] = repeated
+            lines.append(
+                '  [Previous line repeated ' + str(repeated) + ' more time' + ('s' if repeated > 1 else '') + ']\\n'
+            )
+    
+    for frame, line in traceback.walk_tb(e.__traceback__):
+        if not is_user_frame(frame):
+            continue
+        location = (frame.f_code, line)
+        if location != last_location:
+            end_repeat()
+            last_location = location
+            count = 0
+        count += 1
+        if count > RECURSIVE_CUTOFF:
+            continue
+        code = linecache.getline(frame.f_code.co_filename, line).strip()
+        frames.append({
+            'file': get_file_name(frame), 'line': line, 'function': get_func_name(frame), 'code': code
+        })
+        lines.append('  File "' + get_file_name(frame) + '", line ' + str(line) + ', in ' + frame.f_code.co_qualname + '\\n')
+        if code:
+            lines.append('    ' + code + '\\n')
+    end_repeat()
+    error['frames'] = frames
+    
+    syntax_file = get_project_path(e.filename) if isinstance(e, SyntaxError) else None
+    if syntax_file and e.lineno:
+        column = e.offset or 1
+        error.update({
+            'message': e.msg,
+            'syntax': True,
+            'file': syntax_file,
+            'line': e.lineno,
+            'column': column,
+            'endLine': e.end_lineno or e.lineno,
+            'endColumn': max(e.end_offset or 0, column + 1)
+        })
+    
+    text = ''.join(traceback.format_exception_only(e)).replace(PROJECT_DIR + '/', '')
+    if lines:
+        text = 'Traceback (most recent call last):\\n' + ''.join(lines) + text
+    error['text'] = text.rstrip()
+    return error
+
+def write_project(files):
+    # A fresh copy of the project on Pyodide's filesystem, importable by name
+    shutil.rmtree(PROJECT_DIR, ignore_errors=True)
+    for name, source in files.items():
+        path = os.path.join(PROJECT_DIR, name)
+        os.makedirs(os.path.dirname(path), exist_ok=True)
+        with open(path, 'w') as f:
+            f.write(source)
+    
+    # Forget modules imported from the previous version of the project
+    for module_name, module in list(sys.modules.items()):
+        if (getattr(module, '__file__', None) or '').startswith(PROJECT_DIR + '/'):
+            del sys.modules[module_name]
+    importlib.invalidate_caches()
+    # Tracebacks read source lines through linecache, which would still hold
+    # the previous run's files
+    linecache.clearcache()
+    if PROJECT_DIR not in sys.path:
+        sys.path.insert(0, PROJECT_DIR)
+    os.chdir(PROJECT_DIR)
+
+def tracer(frame, event, arg):
+    global frame_prev_line, last_exception
+    
+    if not is_user_frame(frame):
+        return tracer
+    
+    check_limits(frame)
+    
+    try:
+        frame_id = id(frame)
+        
+        if event == 'call':
+            if frame.f_code.co_name != '<module>':
+                # A resumed generator fires 'call' again but isn't a new call
+                if frame_id not in frame_invocations:
+                    count_call(frame)
+                record_call(frame)
+        
+        elif event == 'line':
+            # Running on in a frame an exception came through means it was caught here
+            caught = raising_frames.pop(frame_id, None)
+            if caught:
+                caught = dict(caught, kind='catch')
+                last_exception = None
+            changes = []
+            if frame_id in frame_prev_line:
+                changes = capture_changes(frame, frame_prev_line[frame_id])
+                changes += capture_watches(frame, frame_prev_line[frame_id])
+            record_step(frame, 'line', frame.f_lineno, changes, caught)
+            record_heap_snapshot(frame)
+            count_line(frame)
+            frame_prev_line[frame_id] = frame.f_lineno
+            if pause_handler is not None:
+                pause = check_pause(frame)
+                if pause:
+                    pause_at(frame, *pause)
+        
+        elif event == 'return':
+            changes = []
+            if frame_id in frame_prev_line:
+                changes = capture_changes(frame, frame_prev_line[frame_id])
+                changes += capture_watches(frame, frame_prev_line[frame_id])
+                del frame_prev_line[frame_id]
+            record_return(frame, arg)
+            record_step(frame, 'return', frame.f_lineno, changes)
+            record_heap_snapshot(frame)
+            end_invocation(frame)
+            if not is_resumable(frame):
+                frame_numbers.pop(frame_id, None)
+            raising_frames.pop(frame_id, None)
+        
+        elif event == 'exception':
+            # The same exception arriving in another frame is propagating out of a call
+            exc = arg[1]
+            kind = 'propagate' if exc is last_exception else 'raise'
+            last_exception = exc
+            raising_frames[frame_id] = describe_exception(exc)
+            changes = capture_changes(frame, frame.f_lineno)
+            record_step(frame, 'exception', frame.f_lineno, changes, dict(raising_frames[frame_id], kind=kind))
+    except Exception:
+        pass
+    
+    return tracer
+
+def run_with_trace(
+    code, limits=None, files=None, entry='main.py', breakpoint_list=None, pause=None, watch_list=None
+):
+    # files maps project-relative paths to sources for the modules code can
+    # import; code itself is saved as entry and run as __main__.
+    # breakpoint_list holds {file, line, condition}; pause(state_json) blocks
+    # until the user resumes and returns the command (see RESUME_COMMANDS).
+    # watch_list holds Python expressions to evaluate at every line
+    global trace_data, prev_vars, frame_prev_line, error_message, error_info, scope_info, entry_file
+    global frame_numbers, frame_counter, steps, step_count
+    global calls, frame_calls, raising_frames, last_exception
+    global frame_invocations, invocation_counts, suspended_frames, stored_entries, elision_points
+    global detail_nodes, detail_sizes
+    global heap_snapshots, last_heap_json, heap_bytes, heap_limit_reached
+    global line_counts, function_calls, watches, watch_data, prev_watch_values
+    global cut_off, event_count, max_events, deadline
+    global breakpoints, pause_handler, step_mode, step_depth
+    trace_data = {}
+    prev_vars = {}
+    frame_prev_line = {}
+    frame_numbers = {}
+    frame_counter = 0
+    steps = []
+    step_count = 0
+    calls = []
+    frame_calls = {}
+    raising_frames = {}
+    last_exception = None
+    frame_invocations = {}
+    invocation_counts = {}
+    suspended_frames = {}
+    stored_entries = 0
+    elision_points = {}
+    detail_nodes = 0
+    detail_sizes = {}
+    heap_snapshots = []
+    last_heap_json = None
+    heap_bytes = 0
+    heap_limit_reached = False
+    line_counts = {}
+    function_calls = {}
+    watches = [compile_watch(expr) for expr in watch_list or []]
+    watch_data = {}
+    prev_watch_values = {}
+    error_message = None
+    error_info = None
+    cut_off = None
+    event_count = 0
+    breakpoints = {(b['file'], b['line']): b.get('condition') or '' for b in breakpoint_list or []}
+    pause_handler = pause
+    step_mode = None
+    step_depth = 0
+    
+    limits = limits or {}
+    max_events = limits.get('maxEvents')
+    timeout_ms = limits.get('timeoutMs')
+    
+    entry_file = entry
+    files = dict(files or {})
+    files[entry] = code
+    write_project(files)
+    entry_path = PROJECT_DIR + '/' + entry
+    
+    # Analyze scopes before running
+    file_scopes = {
+        name: analyze_scopes(source, get_scope_prefix(name))
+        for name, source in files.items() if name.endswith('.py')
+    }
+    scope_info = dict(file_scopes[entry], files=file_scopes)
+    executable_lines = {
+        name: find_executable_lines(source)
+        for name, source in files.items() if name.endswith('.py')
+    }
+
+    # A syntax error is reported with its exact position and nothing runs
+    try:
+        program = compile(ast.parse(code, entry_path), entry_path, 'exec')
+    except SyntaxError as e:
+        program = None
+        error_info = describe_error(e)
+    
+    deadline = time.monotonic() + timeout_ms / 1000 if timeout_ms else None
+    if program is not None:
+        sys.settrace(tracer)
+        try:
+            exec(program, {'__name__': '__main__', '__file__': entry_path, '__builtins__': builtins})
+        except ExecutionCutOff as e:
+            cut_off = {'reason': e.reason, 'file': e.file, 'line': e.line}
+        except KeyboardInterrupt as e:
+            # Raised by Pyodide when the main thread writes SIGINT to the interrupt buffer
+            file, line = last_user_location(e.__traceback__)
+            cut_off = {'reason': 'stopped', 'file': file, 'line': line}
+        except Exception as e:
+            error_info = describe_error(e)
+        finally:
+            sys.settrace(None)
+    if error_info:
+        error_message = error_info['text']
+    
+    return json.dumps({
+        'traceData': trace_data,
+        'watchData': watch_data,
+        'steps': steps,
+        'calls': calls,
+        'heapSnapshots': heap_snapshots,
+        'heapLimitReached': heap_limit_reached,
+        'errorMessage': error_message,
+        'error': error_info,
+        'scopeInfo': scope_info,
+        'coverage': {
+            'lines': line_counts,
+            'executableLines': executable_lines,
+            'functions': function_calls
+        },
+        'cutOff': cut_off
+    })
+`;
+
+// What a paused run can be told to do; a command is stored in the control
+// buffer as its index + 1 (0 means 'no command yet')
+export const RESUME_COMMANDS = ['continue', 'over', 'into', 'out', 'stop'];
+
+// Where the tracer module is saved on Pyodide's filesystem: outside the
+// project directory, so its frames are never traced
+const TRACER_MODULE_PATH = '/home/pyodide/.glassbox/glassbox_tracer.py';
+
+// Tracer modules by Pyodide instance; each interpreter loads TRACER_CODE once
+const tracerModules = new WeakMap();
+
+// Imports TRACER_CODE as a module without putting it on sys.path or in
+// sys.modules, where user code could import it or write_project() drop it
+const loadTracerModule = (pyodide) => {
+  if (!tracerModules.has(pyodide)) {
+    pyodide.FS.mkdirTree(TRACER_MODULE_PATH.slice(0, TRACER_MODULE_PATH.lastIndexOf('/')));
+    pyodide.FS.writeFile(TRACER_MODULE_PATH, TRACER_CODE);
+    const namespace = pyodide.globals.get('dict')();
+    const module = pyodide.runPython(`
+import importlib.util
+spec = importlib.util.spec_from_file_location('glassbox_tracer', ${JSON.stringify(TRACER_MODULE_PATH)})
+module = importlib.util.module_from_spec(spec)
+spec.loader.exec_module(module)
+module
+`, { globals: namespace });
+    namespace.destroy();
+    tracerModules.set(pyodide, module);
+  }
+  return tracerModules.get(pyodide);
+};
+
+// Blocks the worker until the main thread stores a command, then returns it
+const waitForCommand = (controlBuffer) => {
+  Atomics.wait(controlBuffer, 0, 0);
+  return RESUME_COMMANDS[Atomics.exchange(controlBuffer, 0, 0) - 1];
+};
+
+// Feeds the "Program input" text to input() one line at a time, echoing each
+// line like a terminal would. Returning undefined makes input() raise EOFError.
+const createStdin = (stdin, emit) => {
+  const lines = stdin ? stdin.split('\n') : [];
+  if (lines.length > 0 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  return () => {
+    if (lines.length === 0) return undefined;
+    const line = lines.shift();
+    emit(line + '\n');
+    return line;
+  };
+};
+
+const pythonSources = (files) => Object.entries(files)
+  .filter(([path]) => path.endsWith('.py'))
+  .map(([, source]) => source);
+
+// Installs the Pyodide packages (numpy, pandas, ...) the project imports,
+// before the clock starts. Wheels come from wherever the Pyodide instance was
+// told to look (see tracer.worker.js and node/traceWorker.js): the wheels in
+// public/pyodide-packages, never a CDN. A package that can't be loaded is
+// reported like stderr, with how to add it, and the import then fails in the
+// program as usual.
+const loadImportedPackages = async (pyodide, sources, emit) => {
+  let failed = false;
+  await pyodide.loadPackagesFromImports(sources.join('\n'), {
+    messageCallback: () => {},
+    errorCallback: (message) => {
+      failed = true;
+      emit('Error: ' + message + '\n');
+    }
+  });
+  if (failed) {
+    emit('Error: Python packages are loaded from public/pyodide-packages; '
+      + 'run `npm run fetch-packages -- <package>` to add a missing one\n');
+  }
+};
+
+// Runs code under the tracer and returns the parsed run_with_trace() payload.
+// code is the entry file's source; files holds the other project files
+// (path -> source) it may import. emit(text) receives program output as it is
+// produced; onStarted() fires right before user code executes. With a
+// controlBuffer, the run pauses at breakpoints: onPause(state) is called and
+// the worker blocks until a command arrives.
+export async function runTracer(pyodide, {
+  code, files = {}, entry = 'main.py', stdin, limits, breakpoints = [], watches = [], controlBuffer,
+  emit, onStarted, onPause
+}) {
+  const decoder = new TextDecoder();
+  // Unbatched so an input() prompt shows up before the echoed answer
+  pyodide.setStdout({
+    write: (buffer) => {
+      emit(decoder.decode(buffer, { stream: true }));
+      return buffer.length;
+    }
+  });
+  pyodide.setStderr({ batched: (text) => emit('Error: ' + text + '\n') });
+  pyodide.setStdin({ stdin: createStdin(stdin, emit) });
+
+  const tracer = loadTracerModule(pyodide);
+  await loadImportedPackages(pyodide, [code, ...pythonSources(files)], emit);
+
+  const canPause = Boolean(controlBuffer && onPause) && breakpoints.length > 0;
+  const pause = canPause
+    ? (stateJson) => {
+      onPause(JSON.parse(stateJson));
+      return waitForCommand(controlBuffer);
+    }
+    : null;
+
+  const args = [limits, files, breakpoints, watches].map((value) => pyodide.toPy(value));
+  const [pyLimits, pyFiles, pyBreakpoints, pyWatches] = args;
+  onStarted();
+  try {
+    const jsonString = tracer.run_with_trace(code, pyLimits, pyFiles, entry, pyBreakpoints, pause, pyWatches);
+    return JSON.parse(jsonString);
+  } finally {
+    args.forEach((arg) => arg.destroy());
+  }
+}
@@ -1,9 +1,25 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Cross-origin isolation enables SharedArrayBuffer, which the tracer uses to
+// interrupt a running program without killing its worker
+const crossOriginIsolation = {
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Embedder-Policy': 'credentialless'
+}
+
 export default defineConfig({
   plugins: [react()],
   optimizeDeps: {
     exclude: ['pyodide']
+  },
+  worker: {
+    format: 'es'
+  },
+  server: {
+    headers: crossOriginIsolation
+  },
+  preview: {
+    headers: crossOriginIsolation
   }
 })